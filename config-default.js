@@ -4,10 +4,54 @@
  * @module config-default
  */
 module.exports = {
+  /**
+   * Cache GET responses in memory (with conditional revalidation). Can also
+   * be set to a custom `ResponseCache` instance.
+   */
+  cache: false,
   /**
    * Default proxy URL for servicing CORS requests
    */
   proxyUrl: 'https://databox.me/,proxy?uri={uri}',
+  /**
+   * Retry policy for requests failing with a network error, a `429` or a
+   * `5xx` status (see `util/retry.js`). Can be overridden per request, with
+   * the `retry` option.
+   */
+  retry: {
+    /**
+     * Maximum number of attempts per request (1 means no retries)
+     */
+    maxAttempts: 1,
+    /**
+     * Delay before the first retry, in milliseconds (doubled on each
+     * subsequent retry, unless the server sends a `Retry-After` header)
+     */
+    initialDelay: 500,
+    /**
+     * Maximum delay between attempts, in milliseconds (also caps the
+     * server's `Retry-After`)
+     */
+    maxDelay: 30000,
+    /**
+     * Also retry non-idempotent requests (POST, PATCH)
+     */
+    retryNonIdempotent: false,
+    /**
+     * Optional hook, called after each attempt with a hashmap of
+     * `{ url, method, attempt, error, willRetry, delay }`
+     */
+    onAttempt: null
+  },
+  /**
+   * Transport used to send requests (`null` for the default, XMLHttpRequest
+   * based one). See `src/transports/`.
+   */
+  transport: null,
+  /**
+   * WebSocket class used for live updates (`null` for the global one)
+   */
+  WebSocket: null,
   /**
    * Timeout for web/ajax operations, in milliseconds
    */
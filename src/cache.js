@@ -0,0 +1,111 @@
+'use strict'
+/**
+ * Provides an in-memory HTTP cache for GET responses (see the `cache` config
+ * option of the web client)
+ * @module cache
+ */
+var webUtil = require('./util/web-util')
+
+/**
+ * Stores `SolidResponse` objects keyed by URL and `Accept:` header, along
+ * with their freshness info (from the `Cache-Control:` response header).
+ * Since a response keeps its lazily parsed graph, cached responses do not
+ * need to be parsed again.
+ * @class ResponseCache
+ */
+class ResponseCache {
+  /**
+   * @constructor
+   */
+  constructor () {
+    /**
+     * Cache entries, keyed by URL and then by `Accept:` header. Example:
+     *   ```
+     *   {
+     *     'https://example.com/profile/card': {
+     *       'text/turtle': { response: solidResponse, expires: 1473172530000 }
+     *     }
+     *   }
+     *   ```
+     * @property entries
+     * @type Object
+     */
+    this.entries = {}
+  }
+
+  /**
+   * Removes all entries from the cache.
+   * @method clear
+   */
+  clear () {
+    this.entries = {}
+  }
+
+  /**
+   * Returns the cache entry for a given request, or `null` if none.
+   * @method get
+   * @param url {string}
+   * @param accept {string} Accept header of the request
+   *
+   * @return {Object|null} Entry hashmap, `{ response, expires }`, where
+   *   `expires` is a timestamp (in ms) until which the response is fresh
+   */
+  get (url, accept) {
+    let entriesForUrl = this.entries[url]
+    return (entriesForUrl && entriesForUrl[accept]) || null
+  }
+
+  /**
+   * Removes all cached responses (for any Accept header) of a given URL.
+   * @method invalidate
+   * @param url {string}
+   */
+  invalidate (url) {
+    delete this.entries[url]
+  }
+
+  /**
+   * Returns true if a cache entry can be used without revalidating it with
+   * the server.
+   * @method isFresh
+   * @param entry {Object} Cache entry (see `get()`)
+   *
+   * @return {Boolean}
+   */
+  isFresh (entry) {
+    return Date.now() < entry.expires
+  }
+
+  /**
+   * Stores a response in the cache (unless its `Cache-Control:` header
+   * forbids it), or refreshes the freshness info of a cached response after
+   * a `304 Not Modified`.
+   * @method set
+   * @param url {string}
+   * @param accept {string} Accept header of the request
+   * @param response {SolidResponse} Response to store
+   * @param [xhr=response.xhr] {XMLHttpRequest} Response from which the
+   *   `Cache-Control:` header is read (the 304 response, when revalidating)
+   */
+  set (url, accept, response, xhr) {
+    xhr = xhr || response.xhr
+    let cacheControl = webUtil.parseCacheControl(
+      xhr && xhr.getResponseHeader('Cache-Control'))
+
+    if (cacheControl['no-store']) {
+      this.invalidate(url)
+      return
+    }
+
+    let maxAge = parseInt(cacheControl['max-age'], 10)
+    // Responses without a max-age are stored, but always revalidated
+    let expires = (cacheControl['no-cache'] || isNaN(maxAge))
+      ? 0
+      : Date.now() + maxAge * 1000
+
+    this.entries[url] = this.entries[url] || {}
+    this.entries[url][accept] = { response: response, expires: expires }
+  }
+}
+
+module.exports = ResponseCache
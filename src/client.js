@@ -1,16 +1,40 @@
 'use strict'
+/* global WebSocket */
 /**
  * Provides a Solid web client class for performing LDP CRUD operations.
  * @module web
  */
-var DEFAULT_ACCEPT = 'text/turtle;q=0.8,*/*;q=0.5'
 var DEFAULT_MIME_TYPE = 'text/turtle'
+var LDP_INBOX = 'http://www.w3.org/ns/ldp#inbox'
+var N3_PATCH = 'text/n3'
+var PIM = 'http://www.w3.org/ns/pim/space#'
+var SPARQL_UPDATE = 'application/sparql-update'
 var defaultConfig = require('../config-default')
 
-var composePatchQuery = require('./util/web-util').composePatchQuery
+var bodyUtil = require('./util/body')
+var graphUtil = require('./util/graph-util')
+var retry = require('./util/retry')
+var webUtil = require('./util/web-util')
+var composeN3Patch = webUtil.composeN3Patch
+var composePatchQuery = webUtil.composePatchQuery
+var BatchLoader = require('./models/batch-loader')
+var ContainerWalker = require('./models/container-walker')
+var PageIterator = require('./models/page-iterator')
+var SolidAcl = require('./models/acl')
+var SolidProfile = require('./models/profile')
+var SolidTypeIndex = require('./models/type-index')
+var ResponseCache = require('./cache')
+var UpdatesSocket = require('./updates-socket')
+var middleware = require('./middleware')
 var SolidResponse = require('./models/response')
-var XMLHttpRequest = require('./util/xhr')
-var HttpError = require('standard-http-error')
+var FetchTransport = require('./transports/fetch-transport')
+var XhrTransport = require('./transports/xhr-transport')
+var errors = require('./errors')
+var formats = require('./formats')
+var HttpError = errors.HttpError
+var PreconditionFailedError = errors.PreconditionFailedError
+var UnsupportedFormatError = errors.UnsupportedFormatError
+var resolveUrl = require('url').resolve
 var vocab = require('solid-namespace')
 
 /**
@@ -23,12 +47,206 @@ class SolidWebClient {
    * @param rdf {RDF} RDF library (like rdflib.js or rdf-ext) for parsing
    * @param [config={}] {Object} Config hashmap
    * @param [config.auth] {ClientAuthOIDC} Solid OIDC auth client instance
+   * @param [config.cache=false] {Boolean|ResponseCache} Cache GET responses
+   *   (pass `true` for an in-memory cache, or a `ResponseCache` instance)
+   * @param [config.retry] {Object} Retry policy for failed requests (see
+   *   `config-default.js`)
+   * @param [config.transport] {XhrTransport|FetchTransport} Transport used to
+   *   send the requests (any object with a compatible `send()` method).
+   *   Defaults to an `XhrTransport`.
+   * @param [config.WebSocket] {Function} WebSocket class used for live
+   *   updates (defaults to the global one)
    */
   constructor (rdf, config = {}) {
     this.rdf = rdf
     this.vocab = vocab(rdf)
     this.config = Object.assign({}, defaultConfig, config)
+    this.config.retry = Object.assign({}, defaultConfig.retry, config.retry)
     this.auth = config.auth
+    /**
+     * Cache of GET responses (null if caching is turned off)
+     * @property cache
+     * @type ResponseCache
+     */
+    this.cache = this.config.cache === true
+      ? new ResponseCache()
+      : this.config.cache || null
+    /**
+     * Transport used to send the HTTP requests
+     * @property transport
+     * @type XhrTransport|FetchTransport
+     */
+    this.transport = this.config.transport || new XhrTransport()
+    /**
+     * Chain of request middleware, in order of execution (see `use()`)
+     * @property middleware
+     * @type Array<Function>
+     */
+    this.middleware = [
+      middleware.auth(this),
+      middleware.proxy(this),
+      middleware.timeout(this)
+    ]
+    /**
+     * Open live update connections (see `subscribe()`), keyed by websocket url
+     * @property updatesSockets
+     * @type Object
+     */
+    this.updatesSockets = {}
+    /**
+     * Patch format used by each server (see `patchFormat()`), keyed by
+     * server origin
+     * @property patchFormats
+     * @type Object
+     */
+    this.patchFormats = {}
+    /**
+     * Storage roots found by `findStorage()`, keyed by server origin
+     * @property storageRoots
+     * @type Object
+     */
+    this.storageRoots = {}
+  }
+
+  /**
+   * Copies a resource or a whole container (recursively) to a new location.
+   * The target may be on a different server (pod) than the source.
+   *
+   * Containers are re-created with `createContainer()` and their contents
+   * copied one by one, resources are written with `put()` using the
+   * Content-Type of the original.
+   *
+   * @method copy
+   * @param sourceUrl {string} URL of the resource or container to copy
+   * @param targetUrl {string} URL of the copy (for containers, the trailing
+   *   slash is optional)
+   * @param [options={}] {Object} Options hashmap
+   * @param [options.withAcl=false] {Boolean} Also copy the `.acl` resources
+   * @param [options.withMeta=false] {Boolean} Also copy the `.meta` resources
+   *
+   * @return {Promise<SolidResponse>} Response to the creation of the
+   *   (top-level) copy
+   */
+  copy (sourceUrl, targetUrl, options = {}) {
+    // Resources are copied byte for byte (images, PDFs, etc must not be
+    // decoded as text), containers are parsed to list their contents
+    let isContainerUrl = sourceUrl.endsWith('/')
+    let getOptions = isContainerUrl ? {} : { responseType: 'arraybuffer' }
+
+    return this.get(sourceUrl, getOptions)
+      .then((response) => {
+        if (response.isContainer() && !isContainerUrl) {
+          return this.get(sourceUrl)
+        }
+        return response
+      })
+      .then((response) => {
+        let copied = response.isContainer()
+          ? this.copyContainer(response, targetUrl, options)
+          : this.put(targetUrl, response.raw(), response.contentType())
+
+        return copied
+          .then((targetResponse) => {
+            return this.copyAuxiliaryResources(response, targetResponse.url,
+              options)
+              .then(() => targetResponse)
+          })
+      })
+  }
+
+  /**
+   * Copies the `.acl` and/or `.meta` resources of a source resource to those
+   * of a target resource (see `copy()`). They are parsed, and the IRIs of
+   * the source (and of its auxiliary resource) are replaced with those of
+   * the target, so that `acl:accessTo` links (absolute or relative) keep
+   * pointing at the right resource.
+   *
+   * @method copyAuxiliaryResources
+   * @param sourceResponse {SolidResponse} Response to a GET of the source
+   * @param targetUrl {string}
+   * @param [options={}] {Object} See `copy()`
+   *
+   * @return {Promise}
+   */
+  copyAuxiliaryResources (sourceResponse, targetUrl, options = {}) {
+    let auxUrlMethods = []
+    if (options.withAcl && sourceResponse.aclAbsoluteUrl()) {
+      auxUrlMethods.push('aclAbsoluteUrl')
+    }
+    if (options.withMeta && sourceResponse.metaAbsoluteUrl()) {
+      auxUrlMethods.push('metaAbsoluteUrl')
+    }
+    if (auxUrlMethods.length === 0) {
+      return Promise.resolve()
+    }
+
+    return this.head(targetUrl)
+      .then((targetResponse) => {
+        return auxUrlMethods.reduce((previous, urlMethod) => {
+          return previous.then(() => {
+            let targetAuxUrl = targetResponse[urlMethod]()
+            if (!targetAuxUrl) {
+              return
+            }
+            let sourceAuxUrl = sourceResponse[urlMethod]()
+            return this.get(sourceAuxUrl)
+              .then((auxResponse) => {
+                if (!auxResponse.isRdf()) {
+                  return this.put(targetAuxUrl, auxResponse.raw(),
+                    auxResponse.contentType())
+                }
+                let statements = graphUtil.replaceIris(this.rdf,
+                  auxResponse.parsedGraph().statementsMatching(null), [
+                    [ sourceAuxUrl, targetAuxUrl ],
+                    [ sourceResponse.url, targetUrl ]
+                  ])
+                return this.put(targetAuxUrl, statements, 'text/turtle')
+              })
+              .catch((error) => {
+                if (error.status !== 404) {
+                  throw error
+                }
+                // No .acl or .meta resource exists for the source, skip it
+              })
+          })
+        }, Promise.resolve())
+      })
+  }
+
+  /**
+   * Re-creates a container at the target url, and copies its contents into
+   * it (recursively). See `copy()`.
+   *
+   * @method copyContainer
+   * @param sourceResponse {SolidResponse} Response to a GET of the source
+   *   container
+   * @param targetUrl {string}
+   * @param [options={}] {Object} See `copy()`
+   *
+   * @return {Promise<SolidResponse>} Response to the target's creation
+   */
+  copyContainer (sourceResponse, targetUrl, options = {}) {
+    let parentUrl = webUtil.parentUrl(targetUrl)
+    let name = webUtil.resourceName(targetUrl)
+
+    return this.createContainer(parentUrl, name)
+      .then((targetResponse) => {
+        // The server may have assigned a different name to the container
+        let containerUrl = targetResponse.url.replace(/\/?$/, '/')
+        let contentsUris = sourceResponse.resource.contentsUris
+          .filter((uri) => uri !== sourceResponse.url)
+
+        return contentsUris.reduce((previous, uri) => {
+          return previous.then(() => {
+            let childUrl = containerUrl + webUtil.resourceName(uri)
+            if (uri.endsWith('/')) {
+              childUrl += '/'
+            }
+            return this.copy(uri, childUrl, options)
+          })
+        }, Promise.resolve())
+          .then(() => targetResponse)
+      })
   }
 
   /**
@@ -51,14 +269,15 @@ class SolidWebClient {
    * @return {Promise<SolidResponse>}
    */
   createContainer (parentUrl, name, options, data) {
-    return this.post(parentUrl, data, name, true)
+    return this.post(parentUrl, data, name, true, null, options)
   }
 
   /**
    * Creates and returns the appropriate Solid wrapper for the XHR response.
    *
    * @method createResponse
-   * @param xhrResponse {XMLHttpRequest} XHR Response
+   * @param xhrResponse {XMLHttpRequest|FetchResponse} XHR Response (or an
+   *   XHR-compatible response from another transport)
    * @param method {string} HTTP verb
    *
    * @return {SolidResponse} A SolidResponse
@@ -88,33 +307,641 @@ class SolidWebClient {
    *
    * @method del
    * @param url {string} URL of the resource or container to be deleted
+   * @param [options] {Object} Options hashmap (see `solidRequest()` docs,
+   *   including the conditional request options)
    *
    * @return {Promise<SolidResponse>} Result of the HTTP Delete operation
    *   (true on success, or an anonymous error object on failure)
    */
-  del (url) {
-    return this.solidRequest(url, 'DELETE')
+  del (url, options) {
+    return this.solidRequest(url, 'DELETE', options)
+  }
+
+  /**
+   * Deletes a container together with all of its contents, depth-first
+   * (since servers refuse to delete non-empty containers). The `.meta` and
+   * `.acl` resources of each deleted item are deleted right after it.
+   *
+   * The full list of deletions is planned (by listing the containers) before
+   * anything is deleted. A failed deletion does not stop the process; it is
+   * recorded in the resulting report instead. So is a contained item that
+   * could not be listed or checked while planning (its branch is skipped).
+   *
+   * Usage:
+   *
+   *   ```
+   *   webClient.delTree('https://example.com/old-photos/')
+   *     .then(function (report) {
+   *       report.failed.forEach(function (failure) {
+   *         console.log(failure.url, failure.error.status)
+   *       })
+   *     })
+   *   ```
+   *
+   * @method delTree
+   * @param url {string} URL of the container (or resource) to be deleted
+   * @param [options={}] {Object} Options hashmap
+   * @param [options.dryRun=false] {Boolean} Only plan the deletions, do not
+   *   perform them
+   *
+   * @throws {HttpError} Rejects if the container (or resource) itself could
+   *   not be listed
+   *
+   * @return {Promise<Object>} Report, with the `planned` (in order of
+   *   deletion) and `deleted` lists of URLs, and a `failed` list of
+   *   `{ url, error }` hashes (where `error` is an `HttpError`)
+   */
+  delTree (url, options = {}) {
+    return this.planDelTree(url)
+      .then((entries) => {
+        let seen = {}
+        let planningFailures = entries.filter((entry) => entry.error)
+        entries = entries.filter((entry) => {
+          let isDuplicate = seen[entry.url]
+          seen[entry.url] = true
+          return !isDuplicate && !entry.error
+        })
+
+        let report = {
+          dryRun: !!options.dryRun,
+          planned: entries.map((entry) => entry.url),
+          deleted: [],
+          failed: planningFailures.map((entry) => {
+            return { url: entry.url, error: entry.error }
+          })
+        }
+        if (options.dryRun) {
+          return report
+        }
+
+        return entries.reduce((previous, entry) => {
+          return previous.then(() => {
+            return this.del(entry.url)
+              .then(() => {
+                report.deleted.push(entry.url)
+              })
+              .catch((error) => {
+                if (entry.isAuxiliary && error.status === 404) {
+                  // Was already removed by the server together with its resource
+                  return
+                }
+                report.failed.push({ url: entry.url, error: error })
+              })
+          })
+        }, Promise.resolve())
+          .then(() => report)
+      })
+  }
+
+  /**
+   * Discovers the Linked Data Notifications inbox of a resource (or of a
+   * WebID), from its `Link: <...>; rel="http://www.w3.org/ns/ldp#inbox"`
+   * header (checked with a HEAD request) or, failing that, from an
+   * `ldp:inbox` statement about it in its body.
+   *
+   * Usage:
+   *
+   *   ```
+   *   webClient.discoverInbox('https://example.com/articles/1')
+   *     .then(function (inboxUrl) {
+   *       return webClient.postNotification(inboxUrl, {
+   *         '@context': 'https://www.w3.org/ns/activitystreams',
+   *         '@type': 'Announce',
+   *         'object': 'https://alice.example.com/comments/1'
+   *       })
+   *     })
+   *   ```
+   *
+   * @method discoverInbox
+   * @param url {string} URL of the resource (may have a fragment, such as
+   *   a WebID)
+   *
+   * @return {Promise<string|null>} URL of the inbox, or null if the resource
+   *   does not have one
+   */
+  discoverInbox (url) {
+    let documentUrl = url.split('#')[0]
+
+    return this.head(documentUrl)
+      .then((response) => {
+        let inbox = response.linkHeaders[LDP_INBOX]
+        if (inbox && inbox.length) {
+          return resolveUrl(response.url, inbox[0])
+        }
+        return this.get(documentUrl)
+          .then((response) => {
+            if (!response.isRdf()) {
+              return null
+            }
+            inbox = response.parsedGraph().any(this.rdf.namedNode(url),
+              this.rdf.namedNode(LDP_INBOX))
+            return inbox ? inbox.uri : null
+          })
+      })
+  }
+
+  /**
+   * Finds the storage root (pod root) that contains a resource. Walks up the
+   * parent containers, looking for one with a `Link: <...pim/space#Storage>;
+   * rel="type"` header. If none says so, falls back to the `pim:storage`
+   * of the owner's WebID profile (the `webId` option, or else the user
+   * reported by the server in the `User:` header). The result is cached per
+   * server origin.
+   *
+   * Usage:
+   *
+   *   ```
+   *   webClient.findStorage('https://example.com/photos/cat.jpg')
+   *     .then(function (storageUrl) {
+   *       var inbox = storageUrl + 'inbox/'
+   *     })
+   *   ```
+   *
+   * @method findStorage
+   * @param url {string} URL of a resource or container in the storage
+   * @param [options={}] {Object} Options hashmap
+   * @param [options.webId] {string} WebID of the owner of the storage, for
+   *   the profile fallback
+   *
+   * @throws {HttpError} Rejects if the profile cannot be loaded, or on
+   *   network errors
+   *
+   * @return {Promise<string|null>} URL of the storage root, or null if it
+   *   could not be found
+   */
+  findStorage (url, options = {}) {
+    let origin = webUtil.hostname(url)
+    let cached = this.storageRoots[origin]
+    if (cached && url.indexOf(cached) === 0) {
+      return Promise.resolve(cached)
+    }
+    let webId = options.webId
+
+    let checkContainer = (containerUrl) => {
+      return this.head(containerUrl)
+        .then((response) => {
+          webId = webId || response.user
+          return response.isType(PIM + 'Storage') ? response.url : null
+        }, (error) => {
+          if (!error.status) {
+            throw error  // Network error, or aborted
+          }
+          return null  // Not readable (or does not exist), keep walking up
+        })
+        .then((storageUrl) => {
+          let parentUrl = webUtil.parentUrl(containerUrl)
+          if (storageUrl || parentUrl.indexOf(origin + '/') !== 0) {
+            return storageUrl
+          }
+          return checkContainer(parentUrl)
+        })
+    }
+
+    let containerUrl = url.endsWith('/') ? url : webUtil.parentUrl(url)
+    return checkContainer(containerUrl)
+      .then((storageUrl) => {
+        if (storageUrl || !webId) {
+          return storageUrl
+        }
+        return this.get(webId.split('#')[0])
+          .then((response) => {
+            let storages = response.parsedGraph()
+              .each(this.rdf.namedNode(webId), this.rdf.namedNode(PIM + 'storage'))
+              .map((storage) => storage.uri)
+            return storages.find((storage) => url.indexOf(storage) === 0) || null
+          })
+      })
+      .then((storageUrl) => {
+        if (storageUrl) {
+          this.storageRoots[origin] = storageUrl
+        }
+        return storageUrl
+      })
+  }
+
+  /**
+   * Finds where a user keeps the data of a given class, from the
+   * registrations of their public and private type indexes (see
+   * `getTypeIndexes()`).
+   *
+   * Usage:
+   *
+   *   ```
+   *   var bookmark = 'http://www.w3.org/2002/01/bookmark#Bookmark'
+   *   webClient.findTypeRegistrations(webId, bookmark)
+   *     .then(function (result) {
+   *       // result.instanceContainers: containers of bookmark documents
+   *       // result.instances: individual bookmark documents
+   *     })
+   *   ```
+   *
+   * @method findTypeRegistrations
+   * @param webIdOrProfile {string|SolidProfile} WebID of the user (or their
+   *   already loaded profile)
+   * @param forClass {string} IRI of the class
+   *
+   * @throws {HttpError} Rejects if the profile cannot be loaded
+   *
+   * @return {Promise<Object>} Hashmap of lists of URLs, `{ instances,
+   *   instanceContainers }`
+   */
+  findTypeRegistrations (webIdOrProfile, forClass) {
+    return this.getTypeIndexes(webIdOrProfile)
+      .then((indexes) => {
+        let found = [ indexes.public, indexes.private ]
+          .filter((index) => index)
+          .map((index) => index.findByClass(forClass))
+        let urls = (key) => found.reduce((all, result) => {
+          return all.concat(result[key].filter((url) => all.indexOf(url) === -1))
+        }, [])
+
+        return {
+          instances: urls('instances'),
+          instanceContainers: urls('instanceContainers')
+        }
+      })
   }
 
   /**
    * Retrieves a resource or container by making an HTTP GET call.
    *
+   * If the client has a cache (see the `cache` config option), fresh cached
+   * responses are returned without a request, and stale ones are revalidated
+   * with the server using conditional headers (`If-None-Match:` and
+   * `If-Modified-Since:`). A `304 Not Modified` resolves to the cached
+   * response, along with its already parsed graph. (Binary responses, see
+   * the `responseType` option, and partial container representations, see
+   * the `include` and `omit` options, are not cached.)
+   *
+   * To download a binary resource (image, PDF, etc) without corrupting it:
+   *
+   *   ```
+   *   webClient.get(url, { responseType: 'arraybuffer' })
+   *     .then(function (response) { return response.arrayBuffer() })
+   *   ```
+   *
    * @method get
    * @param url {string} URL of the resource or container to fetch
    * @param [options={}] {Object} Options hashmap (see `solidRequest()` docs)
+   * @param [options.noCache=false] {Boolean} Bypass the cache
+   * @param [options.include] {string|Array<string>} Parts of a container
+   *   representation to ask for, in a `Prefer:` header (see
+   *   `webUtil.composePreferHeader()`). For example, `'PreferMinimalContainer'`
+   *   to only get the container's own metadata. The parts that the server
+   *   actually returned are recorded in `response.preferenceApplied`.
+   * @param [options.omit] {string|Array<string>} Parts of a container
+   *   representation to leave out, such as `'PreferContainment'` or
+   *   `'PreferMembership'`
+   * @param [options.allPages=false] {Boolean} If the resource is paged,
+   *   fetch all of its pages, and merge them into one response (see
+   *   `getAllPages()`)
    *
    * @return {Promise<SolidResponse>} Result of the HTTP
    *   GET operation, or an error object
    */
   get (url, options = {}) {
-    options.headers = options.headers || {}
+    if (options.allPages) {
+      return this.getAllPages(url, options)
+    }
+    // Callers may reuse the options for several requests (see `loadGraphs()`),
+    // so the headers of this one (such as the cache validators) go in a copy
+    options = Object.assign({}, options, {
+      headers: Object.assign({}, options.headers)
+    })
 
-    // If no explicit Accept: header specified, set one
+    // If no explicit Accept: header specified, set one (from the formats
+    // that can be parsed)
     if (!options.headers['Accept']) {
-      options.headers['Accept'] = DEFAULT_ACCEPT
+      options.headers['Accept'] = formats.acceptHeader()
+    }
+    let prefer = webUtil.composePreferHeader(options.include, options.omit)
+    if (prefer) {
+      options.headers['Prefer'] = prefer
+    }
+
+    let isBinary = options.responseType && options.responseType !== 'text'
+    let isPartial = !!options.headers['Prefer']
+    if (!this.cache || options.noCache || isBinary || isPartial) {
+      return this.solidRequest(url, 'GET', options)
+    }
+
+    let cache = this.cache
+    let accept = options.headers['Accept']
+    let cached = cache.get(url, accept)
+
+    if (cached && cache.isFresh(cached)) {
+      return Promise.resolve(cached.response)
+    }
+    if (cached && cached.response.etag) {
+      options.headers['If-None-Match'] = cached.response.etag
+    }
+    if (cached && cached.response.lastModified) {
+      options.headers['If-Modified-Since'] =
+        cached.response.lastModified.toUTCString()
     }
 
     return this.solidRequest(url, 'GET', options)
+      .then((response) => {
+        cache.set(url, accept, response)
+        return response
+      })
+      .catch((error) => {
+        if (!cached || error.status !== 304) {
+          throw error
+        }
+        cache.set(url, accept, cached.response, error.xhr)
+        return cached.response
+      })
+  }
+
+  /**
+   * Loads and parses the Web Access Control (`.acl`) document of a resource.
+   * The location of the `.acl` is discovered with a HEAD request. If the
+   * document does not exist yet, resolves to an empty `SolidAcl`.
+   *
+   * Usage:
+   *
+   *   ```
+   *   webClient.getAcl('https://example.com/photos/')
+   *     .then(function (acl) {
+   *       acl.grant('https://bob.example.com/profile/card#me', ['Read'])
+   *       return webClient.saveAcl(acl)
+   *     })
+   *   ```
+   *
+   * @method getAcl
+   * @param url {string} URL of the resource or container
+   *
+   * @throws {Error} Rejects if the server does not advertise an `.acl` link
+   *
+   * @return {Promise<SolidAcl>}
+   */
+  getAcl (url) {
+    return this.head(url)
+      .then((response) => {
+        let aclUrl = response.aclAbsoluteUrl()
+        if (!aclUrl) {
+          throw new Error('No ACL link found for ' + url)
+        }
+
+        return this.get(aclUrl)
+          .then((aclResponse) => {
+            let acl = new SolidAcl(this.rdf, response.url, aclUrl,
+              aclResponse.parsedGraph())
+            acl.etag = aclResponse.etag
+            return acl
+          }, (error) => {
+            if (error.status !== 404) {
+              throw error
+            }
+            return new SolidAcl(this.rdf, response.url, aclUrl)
+          })
+      })
+  }
+
+  /**
+   * Fetches all the pages of a paged resource (see
+   * [LDP Paging](https://www.w3.org/TR/ldp-paging/)), following their
+   * `Link: <...>; rel="next"` headers, and merges them into the response of
+   * the first page: its parsed graph holds the statements of all the pages,
+   * and its `resource` is a single `SolidContainer` listing the contents of
+   * all the pages. Resources that are not paged are fetched as with `get()`.
+   * Pages are not cached.
+   *
+   * Usage:
+   *
+   *   ```
+   *   webClient.get('https://example.com/archive/', { allPages: true })
+   *     .then(function (response) {
+   *       console.log(response.resource.contentsUris)
+   *     })
+   *   ```
+   *
+   * @method getAllPages
+   * @param url {string} URL of the paged resource
+   * @param [options={}] {Object} Options hashmap (see `get()`)
+   *
+   * @throws {HttpError} Rejects if any of the pages could not be fetched
+   *
+   * @return {Promise<SolidResponse>} Response of the first page
+   */
+  getAllPages (url, options = {}) {
+    let pageOptions = Object.assign({}, options, {
+      allPages: false,
+      noCache: true
+    })
+    let pages = this.getPages(url, pageOptions)
+    let first = null
+
+    let nextPage = () => {
+      return pages.next()
+        .then((result) => {
+          if (result.done) {
+            return first
+          }
+          let page = result.value
+          if (!first) {
+            first = page
+          } else if (first.parsedGraph() && page.parsedGraph()) {
+            graphUtil.appendGraph(first.parsedGraph(), page.parsedGraph(),
+              first.url)
+            if (first.resource && first.resource.isContainer()) {
+              first.resource.appendFromGraph(page.parsedGraph(), first.url)
+            }
+          }
+          return nextPage()
+        })
+    }
+    return nextPage()
+  }
+
+  /**
+   * Loads and parses the metadata (description) resource of a resource,
+   * such as the `.meta` of a binary file. Its location is discovered with a
+   * HEAD request, from the `Link: <...>; rel="describedBy"` header. If the
+   * metadata resource does not exist yet, its graph is empty.
+   *
+   * Usage:
+   *
+   *   ```
+   *   webClient.getMetadata('https://example.com/photos/cat.jpg')
+   *     .then(function (metadata) {
+   *       var title = metadata.graph.any(rdf.sym(metadata.resourceUrl),
+   *         rdf.sym('http://purl.org/dc/terms/title'))
+   *     })
+   *   ```
+   *
+   * @method getMetadata
+   * @param url {string} URL of the described resource
+   *
+   * @throws {Error} Rejects if the server does not advertise a
+   *   `describedBy` link
+   *
+   * @return {Promise<Object>} Metadata hashmap, `{ url, resourceUrl, graph,
+   *   etag }`, where `url` is the URL of the metadata resource
+   */
+  getMetadata (url) {
+    return this.head(url)
+      .then((response) => {
+        let metaUrl = response.metaAbsoluteUrl()
+        if (!metaUrl) {
+          throw new Error('No describedBy link found for ' + url)
+        }
+        let metadata = { url: metaUrl, resourceUrl: response.url }
+
+        return this.get(metaUrl)
+          .then((metaResponse) => {
+            metadata.graph = metaResponse.parsedGraph()
+            metadata.etag = metaResponse.etag
+            return metadata
+          }, (error) => {
+            if (error.status !== 404) {
+              throw error
+            }
+            metadata.graph = this.rdf.graph()
+            metadata.etag = null
+            return metadata
+          })
+      })
+  }
+
+  /**
+   * Returns an async iterator over the pages of a paged resource (see
+   * `PageIterator` for usage). Each page is a `SolidResponse`.
+   *
+   * @method getPages
+   * @param url {string} URL of the paged resource (or of its first page)
+   * @param [options={}] {Object} Options hashmap for each `get()` request
+   *
+   * @return {PageIterator}
+   */
+  getPages (url, options = {}) {
+    return new PageIterator(this, url, options)
+  }
+
+  /**
+   * Loads a WebID profile, along with the extended profile documents it
+   * links to (`owl:sameAs`, `rdfs:seeAlso` and `pim:preferencesFile`, see
+   * `SolidProfile.linkedDocuments()`), which are loaded with
+   * `loadParsedGraphs()`, and merged into a single graph. Links found in
+   * the extended documents are followed too, up to the `depth` option.
+   * Extended documents that cannot be loaded (such as a private preferences
+   * file, when not logged in) are skipped.
+   *
+   * @method getProfile
+   * @param webId {string} WebID of the profile's owner
+   * @param [options={}] {Object} Options hashmap (also passed to
+   *   `loadParsedGraphs()`)
+   * @param [options.depth=2] {Number} How many levels of links to follow
+   *   (0 to only load the WebID document)
+   *
+   * @throws {HttpError} Rejects if the WebID document cannot be loaded
+   *
+   * @return {Promise<SolidProfile>}
+   */
+  getProfile (webId, options = {}) {
+    let maxDepth = typeof options.depth === 'number' ? options.depth : 2
+    let profileUrl = webId.split('#')[0]
+    let loaded = {}
+    let profile
+
+    let loadLinked = (depth) => {
+      let locations = profile.linkedDocuments()
+        .filter((url) => !loaded[url])
+      if (depth > maxDepth || locations.length === 0) {
+        return profile
+      }
+      locations.forEach((url) => { loaded[url] = true })
+
+      return this.loadParsedGraphs(locations, options)
+        .then((results) => {
+          results.forEach((result) => {
+            if (result.value) {
+              graphUtil.appendGraph(profile.graph, result.value, result.uri)
+              profile.documents.push(result.uri)
+              loaded[result.uri] = true
+            }
+          })
+          profile.initFromGraph(profile.graph)
+          return loadLinked(depth + 1)
+        })
+    }
+
+    return this.get(profileUrl)
+      .then((response) => {
+        loaded[profileUrl] = loaded[response.url] = true
+        let graph = this.rdf.graph()
+        graphUtil.appendGraph(graph, response.parsedGraph(), response.url)
+        profile = new SolidProfile(this.rdf, webId, graph)
+        profile.documents.push(response.url)
+        return loadLinked(1)
+      })
+  }
+
+  /**
+   * Loads and parses a type index document. If the document does not exist
+   * yet, resolves to an empty `SolidTypeIndex` (which `registerType()` then
+   * creates).
+   *
+   * @method getTypeIndex
+   * @param url {string} URL of the type index document
+   *
+   * @return {Promise<SolidTypeIndex>}
+   */
+  getTypeIndex (url) {
+    return this.get(url)
+      .then((response) => {
+        let index = new SolidTypeIndex(this.rdf, url, response.parsedGraph())
+        index.etag = response.etag
+        return index
+      }, (error) => {
+        if (error.status !== 404) {
+          throw error
+        }
+        return new SolidTypeIndex(this.rdf, url)
+      })
+  }
+
+  /**
+   * Loads the public and private type indexes of a user, as linked from
+   * their profile (`solid:publicTypeIndex` and `solid:privateTypeIndex`, see
+   * `getProfile()`). An index is null if the profile does not link to it,
+   * or if it cannot be read (the private one usually needs a login).
+   *
+   * @method getTypeIndexes
+   * @param webIdOrProfile {string|SolidProfile} WebID of the user (or their
+   *   already loaded profile)
+   *
+   * @throws {HttpError} Rejects if the profile cannot be loaded
+   *
+   * @return {Promise<Object>} Hashmap `{ public, private }` of
+   *   `SolidTypeIndex` instances
+   */
+  getTypeIndexes (webIdOrProfile) {
+    let profile = webIdOrProfile instanceof SolidProfile
+      ? Promise.resolve(webIdOrProfile)
+      : this.getProfile(webIdOrProfile)
+
+    return profile
+      .then((profile) => {
+        let load = (url, isPublic) => {
+          if (!url) {
+            return null
+          }
+          return this.getTypeIndex(url)
+            .then((index) => {
+              index.isPublic = isPublic
+              return index
+            }, () => null)
+        }
+        return Promise.all([
+          load(profile.publicTypeIndex, true),
+          load(profile.privateTypeIndex, false)
+        ])
+      })
+      .then((indexes) => {
+        return { public: indexes[0], private: indexes[1] }
+      })
   }
 
   /**
@@ -132,8 +959,75 @@ class SolidWebClient {
   }
 
   /**
-   * Loads a list of given RDF graphs via an async `Promise.all()`,
-   * which resolves to an array of uri/parsed-graph hashes.
+   * Removes the cached responses affected by a write request: those of the
+   * written resource itself, and of its parent container (whose listing
+   * may have changed).
+   *
+   * @method invalidateCache
+   * @param url {string} URL of the request
+   * @param method {string} HTTP verb of the request
+   */
+  invalidateCache (url, method) {
+    let isWrite = [ 'GET', 'HEAD', 'OPTIONS' ].indexOf(method) === -1
+    if (!this.cache || !isWrite) {
+      return
+    }
+    this.cache.invalidate(url)
+    this.cache.invalidate(webUtil.parentUrl(url))
+  }
+
+  /**
+   * Lists the notifications of an inbox (all the pages of it, if the server
+   * pages it, see `getAllPages()`). The URLs of the notifications are the
+   * `contentsUris` of the resulting container, see `readNotification()`.
+   *
+   * @method listNotifications
+   * @param inboxUrl {string} URL of the inbox (see `discoverInbox()`)
+   * @param [options={}] {Object} Options hashmap (see `get()`)
+   *
+   * @throws {Error} Rejects if the inbox is not a container
+   *
+   * @return {Promise<SolidContainer>}
+   */
+  listNotifications (inboxUrl, options = {}) {
+    let inboxOptions = Object.assign({}, options, { allPages: true })
+
+    return this.get(inboxUrl, inboxOptions)
+      .then((response) => {
+        if (!response.resource || !response.resource.isContainer()) {
+          throw new Error('Inbox is not a container: ' + inboxUrl)
+        }
+        return response.resource
+      })
+  }
+
+  /**
+   * Loads and parses a batch of RDF resources, with bounded concurrency
+   * (see `BatchLoader`). Resolves (even if some of the requests fail) to a
+   * report with a result for each location, which keeps its error.
+   *
+   * @method loadGraphs
+   * @param locations {Array<string>} Array of graph URLs to load
+   * @param [options={}] Options hashmap (see `solidRequest()` docs)
+   * @param [options.concurrency=6] {Number} Maximum number of requests in
+   *   flight
+   * @param [options.perHost=Infinity] {Number} Maximum number of requests in
+   *   flight to the same server
+   * @param [options.merge=false] {Boolean} Also merge the loaded graphs into
+   *   a single graph (`report.graph`)
+   *
+   * @return {Promise<Object>} Report hashmap, `{ results, graph }` (see
+   *   `BatchLoader.load()`)
+   */
+  loadGraphs (locations, options = {}) {
+    return new BatchLoader(this, locations, options).load()
+  }
+
+  /**
+   * Loads a list of given RDF graphs (with bounded concurrency, see
+   * `loadGraphs()`), and resolves to an array of uri/parsed-graph hashes.
+   * Graphs that could not be loaded have a null value (use `loadGraphs()`
+   * to find out why).
    *
    * @method loadParsedGraphs
    * @param locations {Array<string>} Array of graph URLs to load
@@ -142,27 +1036,67 @@ class SolidWebClient {
    * @return {Promise<Array<Object>>}
    */
   loadParsedGraphs (locations, options) {
-    let loadPromises = locations.map((location) => {
-      let responseUrl // may differ from location if redirected
-
-      return this.get(location, options)
-        .then(function (response) {
-          responseUrl = response.url
-          return response.parsedGraph()
-        })
-        .catch(function () {
-          // Suppress the error, no need to reject, just return null graph
-          return null
-        })
-        .then(function (parsedGraph) {
+    return this.loadGraphs(locations, options)
+      .then((report) => {
+        return report.results.map((result) => {
           return {
-            uri: responseUrl,
-            value: parsedGraph
+            // May differ from the location if redirected
+            uri: result.response ? result.response.url : undefined,
+            value: result.graph
           }
         })
-    })
+      })
+  }
+
+  /**
+   * Marks a notification as processed, by removing it from the inbox:
+   * either deletes it, or moves it to another container (see `move()`), for
+   * example to keep an archive.
+   *
+   * @method markNotificationProcessed
+   * @param url {string} URL of the notification
+   * @param [options={}] {Object} Options hashmap
+   * @param [options.moveTo] {string} URL of the container to move the
+   *   notification to (it is deleted otherwise)
+   *
+   * @return {Promise<SolidResponse>} Result of the DELETE operation, or of
+   *   the write of the moved notification
+   */
+  markNotificationProcessed (url, options = {}) {
+    if (!options.moveTo) {
+      return this.del(url)
+    }
+    let targetUrl = webUtil.absoluteUrl(options.moveTo, webUtil.resourceName(url))
+    return this.move(url, targetUrl)
+  }
 
-    return Promise.all(loadPromises)
+  /**
+   * Moves a resource or a whole container (recursively) to a new location,
+   * possibly on a different server. Performs a `copy()`, and then deletes
+   * the source with `delTree()`.
+   *
+   * @method move
+   * @param sourceUrl {string} URL of the resource or container to move
+   * @param targetUrl {string} New URL
+   * @param [options={}] {Object} Options hashmap (see `copy()`)
+   *
+   * @throws {HttpError} Rejects with the first deletion error, if the source
+   *   could not be (completely) deleted after copying
+   *
+   * @return {Promise<SolidResponse>} Response to the creation of the
+   *   (top-level) target
+   */
+  move (sourceUrl, targetUrl, options = {}) {
+    return this.copy(sourceUrl, targetUrl, options)
+      .then((targetResponse) => {
+        return this.delTree(sourceUrl)
+          .then((report) => {
+            if (report.failed.length > 0) {
+              throw report.failed[0].error
+            }
+            return targetResponse
+          })
+      })
   }
 
   /**
@@ -198,38 +1132,162 @@ class SolidWebClient {
    *   Accepts arrays of individual statements (in Turtle format) as params.
    *   For example:
    *   [ '<a> <b> <c> .', '<d> <e> <f> .']
+   *
+   *   The patch is sent either as a SPARQL Update or as an N3 Patch,
+   *   depending on what the server accepts (see `patchFormat()`).
+   *
+   *   Statements can also be given as triple patterns (`[ s, p, o ]` arrays
+   *   or `{ subject, predicate, object }` hashmaps, see
+   *   `webUtil.patternToString()`), which may contain variables bound by
+   *   the `where` option. For example, to replace a name without knowing it:
+   *   ```
+   *   web.patch(url,
+   *     [ [ '<#me>', '<http://xmlns.com/foaf/0.1/name>', '?name' ] ],
+   *     [ [ '<#me>', '<http://xmlns.com/foaf/0.1/name>', '"Alice"' ] ],
+   *     { where: [ [ '<#me>', '<http://xmlns.com/foaf/0.1/name>', '?name' ] ] })
+   *   ```
+   *   Note that if the `where` patterns match nothing, a SPARQL Update does
+   *   nothing (and succeeds), while servers fail an N3 Patch with a `409`.
    * @method patch
    * @param url {string} URL of the resource to be edited
-   * @param toDel {Array<string>} Triples to remove from the resource
-   * @param toIns {Array<string>} Triples to insert into the resource
-   * @param [options] Options hashmap
+   * @param toDel {Array<string|Statement|Array|Object>} Triples (or triple
+   *   patterns) to remove from the resource
+   * @param toIns {Array<string|Statement|Array|Object>} Triples (or triple
+   *   patterns) to insert into the resource
+   * @param [options] Options hashmap (see `solidRequest()` docs, including
+   *   the conditional request options)
+   * @param [options.patchFormat] {string} Force a patch format,
+   *   `'application/sparql-update'` or `'text/n3'`
+   * @param [options.where] {Array<string|Statement|Array|Object>} Triple
+   *   patterns that the resource must match for the patch to apply
+   * @throws {InvalidPatchError} Rejects with this error (before sending
+   *   anything) if a triple pattern is malformed, or if there are `where`
+   *   patterns but nothing to delete or insert
    * @return {Promise<SolidResponse>} Result of PATCH operation
    */
   patch (url, toDel, toIns, options) {
-    let data = composePatchQuery(toDel, toIns)
-    let mimeType = 'application/sparql-update'
     options = options || {}
     options.headers = options.headers || {}
-    options.headers['Content-Type'] = mimeType
+    let where = options.where
 
-    return this.solidRequest(url, 'PATCH', options, data)
+    return Promise.resolve()
+      .then(() => {
+        // Validate the patch before sending anything
+        composePatchQuery(toDel, toIns, where)
+
+        return options.patchFormat || this.patchFormat(url)
+      })
+      .then((mimeType) => {
+        let data = mimeType === N3_PATCH
+          ? composeN3Patch(toDel, toIns, where)
+          : composePatchQuery(toDel, toIns, where)
+        options.headers['Content-Type'] = mimeType
+
+        return this.solidRequest(url, 'PATCH', options, data)
+      })
+  }
+
+  /**
+   * Determines the patch format to use for a resource: SPARQL Update if the
+   * server accepts it (or does not say), N3 Patch if that is the only one
+   * the server accepts. The server's `Accept-Patch:` header is checked with
+   * a HEAD request, once per server (unless the HEAD request fails).
+   * @method patchFormat
+   * @param url {string} URL of the resource to be patched
+   * @return {Promise<string>} Patch media type
+   */
+  patchFormat (url) {
+    let origin = webUtil.hostname(url)
+    if (this.patchFormats[origin]) {
+      return Promise.resolve(this.patchFormats[origin])
+    }
+
+    return this.head(url)
+      .then((response) => {
+        let accepted = response.acceptPatch
+        let format = accepted.indexOf(N3_PATCH) !== -1 &&
+          accepted.indexOf(SPARQL_UPDATE) === -1
+          ? N3_PATCH
+          : SPARQL_UPDATE
+        this.patchFormats[origin] = format
+        return format
+      }, () => {
+        // Resource may not exist yet: use the default, and ask again next time
+        return SPARQL_UPDATE
+      })
+  }
+
+  /**
+   * Lists the deletions needed to remove a container (or resource) along
+   * with all of its contents, in depth-first order (see `delTree()`).
+   * Containers are listed with a GET, resources are checked with a HEAD (to
+   * discover their `.acl` and `.meta` resources). A contained item whose GET
+   * or HEAD fails is listed as a `{ url, error }` hash instead, without its
+   * contents.
+   *
+   * @method planDelTree
+   * @param url {string}
+   *
+   * @throws {HttpError} Rejects if the GET or HEAD of `url` itself fails
+   *
+   * @return {Promise<Array<Object>>} List of `{ url, isAuxiliary }` (or
+   *   `{ url, error }`) hashes
+   */
+  planDelTree (url) {
+    let request = url.endsWith('/') ? this.get(url) : this.head(url)
+
+    return request
+      .then((response) => {
+        let contentsUris = response.isContainer() && response.resource
+          ? response.resource.contentsUris.filter((uri) => uri !== response.url)
+          : []
+
+        return contentsUris.reduce((previous, uri) => {
+          return previous.then((entries) => {
+            return this.planDelTree(uri)
+              .catch((error) => [ { url: uri, error: error } ])
+              .then((childEntries) => entries.concat(childEntries))
+          })
+        }, Promise.resolve([]))
+          .then((entries) => {
+            entries.push({ url: url, isAuxiliary: false })
+            let auxUrls = [ response.metaAbsoluteUrl(), response.aclAbsoluteUrl() ]
+            auxUrls.forEach((auxUrl) => {
+              if (auxUrl) {
+                entries.push({ url: auxUrl, isAuxiliary: true })
+              }
+            })
+            return entries
+          })
+      })
   }
 
   /**
    * Creates a new resource by performing
    *   a Solid/LDP POST operation to a specified container.
    * @param url {string} URL of the container to post to
-   * @param data {Object} Data/payload of the resource to be created
+   * @param data {string|Graph|Array<Statement>|ArrayBuffer|Blob|Buffer|Readable|ReadableStream}
+   *   Data/payload of the resource to be created (see `solidRequest()`).
+   *   Graphs and lists of statements are serialized to `mimeType` (see
+   *   `serializeBody()`), with absolute IRIs.
    * @param slug {string} Suggested URL fragment for the new resource
    * @param isContainer {Boolean} Is the object being created a Container
    *            or Resource?
    * @param mimeType {string} Content Type of the data/payload
+   * @param [options={}] Options hashmap, see docs for `solidRequest()`
+   * @param [options.metadata] {Array} Triple patterns (or statements) to
+   *   add to the metadata resource of the created resource (see
+   *   `updateMetadata()`, relative IRIs such as `<>` refer to the resource
+   *   itself), with a PATCH once it is written. Useful to describe binary
+   *   files in one call. If the PATCH fails, rejects with its error (even
+   *   though the resource itself was written).
    * @method post
    * @return {Promise<SolidResponse>} Result of XHR POST (returns parsed response
    *     meta object) or an anonymous error object with status code
    */
-  post (url, data, slug, isContainer, mimeType = DEFAULT_MIME_TYPE) {
+  post (url, data, slug, isContainer, mimeType, options = {}) {
     let resourceType
+    mimeType = mimeType || DEFAULT_MIME_TYPE
 
     if (isContainer) {
       resourceType = this.vocab.ldp('BasicContainer')
@@ -239,8 +1297,7 @@ class SolidWebClient {
       resourceType = this.vocab.ldp('Resource')
     }
 
-    let options = {}
-    options.headers = {}
+    options.headers = options.headers || {}
     options.headers['Link'] = resourceType + '; rel="type"'
     options.headers['Content-Type'] = mimeType
 
@@ -248,7 +1305,41 @@ class SolidWebClient {
       options.headers['Slug'] = slug
     }
 
-    return this.solidRequest(url, 'POST', options, data)
+    // The final URL is up to the server, relative IRIs are resolved against
+    // the suggested one
+    let documentUrl = slug ? webUtil.absoluteUrl(url, slug) : url
+    return this.serializeBody(data, mimeType, documentUrl, { absolute: true })
+      .then((data) => this.solidRequest(url, 'POST', options, data))
+      .then((response) => this.writeMetadata(response, options.metadata))
+  }
+
+  /**
+   * Sends a Linked Data Notification, by posting it to an inbox (see
+   * `discoverInbox()`).
+   *
+   * @method postNotification
+   * @param inboxUrl {string} URL of the inbox
+   * @param notification {Object|string|Graph|Array<Statement>} Notification
+   *   payload: a JSON-LD object, RDF source code (Turtle by default, see the
+   *   `contentType` option), or a graph or list of statements (serialized to
+   *   the `contentType`, see `post()`)
+   * @param [options={}] {Object} Options hashmap (see `post()`)
+   * @param [options.contentType='text/turtle'] {string} Content type of the
+   *   notification, unless it is a JSON-LD object
+   * @param [options.slug] {string} Suggested name of the notification
+   *
+   * @return {Promise<SolidResponse>} Result of the POST operation (its `url`
+   *   is the URL of the new notification)
+   */
+  postNotification (inboxUrl, notification, options = {}) {
+    let contentType = options.contentType || DEFAULT_MIME_TYPE
+    let isJsonLd = notification && notification.constructor === Object
+    if (isJsonLd) {
+      notification = JSON.stringify(notification)
+      contentType = 'application/ld+json'
+    }
+    return this.post(inboxUrl, notification, options.slug, false, contentType,
+      options)
   }
 
   /**
@@ -268,9 +1359,18 @@ class SolidWebClient {
    *   a Solid/LDP PUT operation to a specified container
    * @method put
    * @param url {string} URL of the resource to be updated/created
-   * @param data {Object} Data/payload of the resource to be created or updated
+   * @param data {string|Graph|Array<Statement>|ArrayBuffer|Blob|Buffer|Readable|ReadableStream}
+   *   Data/payload of the resource to be created or updated (see
+   *   `solidRequest()`). Graphs and lists of statements are serialized to
+   *   `mimeType` (see `serializeBody()`).
    * @param [mimeType] {string} MIME Type of the resource to be created
    * @param [options={}] Options hashmap, see docs for `solidResponse()`
+   * @param [options.metadata] {Array} Triple patterns (or statements) to
+   *   add to the metadata resource of the written resource (see
+   *   `updateMetadata()`, relative IRIs such as `<>` refer to the resource
+   *   itself), with a PATCH once it is written. Useful to describe binary
+   *   files in one call. If the PATCH fails, rejects with its error (even
+   *   though the resource itself was written).
    * @return {Promise<SolidResponse>} Result of PUT operation (returns parsed
    *     response meta object if successful, rejects with an anonymous error
    *     status object if not successful)
@@ -280,12 +1380,267 @@ class SolidWebClient {
     mimeType = mimeType || DEFAULT_MIME_TYPE
     options.headers['Content-Type'] = mimeType
 
-    return this.solidRequest(url, 'PUT', options, data)
+    return this.serializeBody(data, mimeType, url)
+      .then((data) => this.solidRequest(url, 'PUT', options, data))
+      .then((response) => this.writeMetadata(response, options.metadata))
+  }
+
+  /**
+   * Reads a notification (see `listNotifications()`), and parses it.
+   *
+   * @method readNotification
+   * @param url {string} URL of the notification
+   *
+   * @throws {UnsupportedFormatError} Rejects if the notification is not in
+   *   one of the RDF formats that can be parsed (see the `formats` module)
+   *
+   * @return {Promise<SolidResource>} Notification, with its `parsedGraph`
+   */
+  readNotification (url) {
+    return this.get(url)
+      .then((response) => {
+        if (!response.resource) {
+          throw new UnsupportedFormatError('Notification is not in a ' +
+            'supported RDF format: ' + response.contentType(),
+            { contentType: response.contentType() })
+        }
+        return response.resource
+      })
+  }
+
+  /**
+   * Registers the location of a class of data in a type index, by patching
+   * the type index document (see `patch()`). If the document does not exist
+   * yet, it is created (with a PUT).
+   *
+   * Usage:
+   *
+   *   ```
+   *   webClient.getTypeIndexes(webId)
+   *     .then(function (indexes) {
+   *       return webClient.registerType(indexes.public,
+   *         'http://www.w3.org/2002/01/bookmark#Bookmark',
+   *         'https://alice.example.com/bookmarks/')
+   *     })
+   *   ```
+   *
+   * @method registerType
+   * @param typeIndex {SolidTypeIndex|string} Type index (or its URL)
+   * @param forClass {string} IRI of the class
+   * @param location {string} URL of the document or container
+   * @param [options={}] Options hashmap (see `patch()` and `put()`)
+   * @param [options.instanceContainer] {Boolean} Register the location as a
+   *   container of instances (`solid:instanceContainer`) rather than a
+   *   single document (`solid:instance`). Defaults to true for URLs that
+   *   end with a `/`.
+   *
+   * @return {Promise<Object>} Resolves to the new registration (see
+   *   `SolidTypeIndex`), once written
+   */
+  registerType (typeIndex, forClass, location, options = {}) {
+    let isContainer = typeof options.instanceContainer === 'boolean'
+      ? options.instanceContainer
+      : location.endsWith('/')
+    let index = typeof typeIndex === 'string'
+      ? this.getTypeIndex(typeIndex)
+      : Promise.resolve(typeIndex)
+
+    return index
+      .then((index) => {
+        let registration = index.newRegistration(forClass, location, isContainer)
+        let write = index.exists
+          ? this.patch(index.url, [], index.registrationPatterns(registration),
+            options)
+          : this.put(index.url, index.serialize(), 'text/turtle',
+            Object.assign({ ifNoneMatch: '*' }, options))
+
+        return write
+          .then(() => {
+            index.exists = true
+            return registration
+          }, (error) => {
+            index.registrations.splice(index.registrations.indexOf(registration), 1)
+            throw error
+          })
+      })
+  }
+
+  /**
+   * Writes a (modified) ACL document back to the server, with a PUT.
+   * If the ACL was loaded with an ETag, the write is conditional, and
+   * rejects with a `PreconditionFailedError` if someone else changed the
+   * document in the meantime.
+   *
+   * @method saveAcl
+   * @param acl {SolidAcl} ACL loaded with `getAcl()`
+   * @param [options={}] {Object} Options hashmap (see `solidRequest()`)
+   *
+   * @return {Promise<SolidResponse>} Result of the PUT operation
+   */
+  saveAcl (acl, options = {}) {
+    if (acl.etag && !options.ifMatch) {
+      options.ifMatch = acl.etag
+    }
+    return this.put(acl.url, acl.serialize(), 'text/turtle', options)
+  }
+
+  /**
+   * Saves the changes made to a graph (loaded from a resource), by sending
+   * only the statements added and removed since it was loaded, as a patch.
+   * If the changes involve blank nodes (which a patch cannot reliably
+   * target), writes the whole modified graph with a PUT instead. Usage:
+   *
+   *   ```
+   *   web.get(url)
+   *     .then((response) => {
+   *       let original = response.parsedGraph()
+   *       let modified = rdf.graph()
+   *       graphUtil.appendGraph(modified, original)
+   *       // ... edit `modified` ...
+   *       return web.saveGraph(url, original, modified)
+   *     })
+   *   ```
+   * @method saveGraph
+   * @param url {string} URL of the resource
+   * @param originalGraph {Graph} Graph as it was loaded
+   * @param modifiedGraph {Graph} Graph with the changes to save
+   * @param [options={}] Options hashmap (see `patch()` and `put()` docs,
+   *   including the conditional request options)
+   * @return {Promise<SolidResponse|null>} Result of the PATCH (or PUT)
+   *   operation, or null if there was nothing to save
+   */
+  saveGraph (url, originalGraph, modifiedGraph, options = {}) {
+    let diff = graphUtil.diffGraphs(originalGraph, modifiedGraph)
+
+    if (diff.hasBlankNodeChanges) {
+      // N-Triples are valid Turtle
+      let data = graphUtil.serializeStatements(
+        modifiedGraph.statementsMatching(null))
+      return this.put(url, data, 'text/turtle', options)
+    }
+
+    if (diff.added.length === 0 && diff.removed.length === 0) {
+      return Promise.resolve(null)
+    }
+
+    return this.patch(url, diff.removed, diff.added, options)
+  }
+
+  /**
+   * Sends a single request through the client's transport (see
+   * `solidRequest()`, which adds the Solid headers, retries and cache
+   * handling).
+   * @method sendRequest
+   * @param url {string} URL of the request (already proxied, if needed)
+   * @param method {string} HTTP Verb ('GET', 'PUT', etc)
+   * @param options {Object} Options hashmap (see `solidRequest()`)
+   * @param [data] {Object} Optional data / payload
+   * @throws {HttpError}
+   * @return {Promise<SolidResponse>}
+   */
+  sendRequest (url, method, options, data) {
+    let request = {
+      method: method,
+      url: url,
+      headers: options.headers,
+      data: data,
+      timeout: options.timeout,
+      withCredentials: !options.noCredentials,
+      responseType: options.responseType,
+      onUploadProgress: options.onUploadProgress,
+      onDownloadProgress: options.onDownloadProgress,
+      signal: options.signal
+    }
+
+    return this.transport.send(request)
+      .then((xhr) => {
+        if (xhr.status >= 200 && xhr.status < 300) {
+          // Parses the formats that cannot be parsed synchronously (JSON-LD)
+          return this.createResponse(xhr, method).load()
+        } else if (xhr.status === 412) {
+          throw new PreconditionFailedError(xhr.statusText, { xhr: xhr })
+        } else {
+          throw new HttpError(xhr.status, xhr.statusText, { xhr: xhr })
+        }
+      })
+  }
+
+  /**
+   * Sends a request, retrying it according to the retry policy (from the
+   * `retry` config and request options) when it fails with a network
+   * error, `429 Too Many Requests` or a `5xx` server error.
+   * @method sendWithRetries
+   * @param url {string} URL of the request (already proxied, if needed)
+   * @param method {string} HTTP Verb ('GET', 'PUT', etc)
+   * @param options {Object} Options hashmap (see `solidRequest()`)
+   * @param [data] {Object} Optional data / payload
+   * @throws {HttpError} Rejects with the error of the last attempt
+   * @throws {AbortError} Rejects with this error if the request is aborted
+   *   (including while waiting between attempts)
+   * @return {Promise<SolidResponse>}
+   */
+  sendWithRetries (url, method, options, data) {
+    let policy = Object.assign({}, this.config.retry, options.retry)
+
+    let attempt = (attemptNumber) => {
+      let report = (error, willRetry, delay) => {
+        if (policy.onAttempt) {
+          policy.onAttempt({ url: url, method: method, attempt: attemptNumber,
+            error: error, willRetry: willRetry, delay: delay })
+        }
+      }
+
+      return this.sendRequest(url, method, options, data)
+        .then((response) => {
+          report(null, false, 0)
+          return response
+        }, (error) => {
+          let willRetry = attemptNumber < policy.maxAttempts &&
+            retry.isRetryable(error, method, policy)
+          let delay = willRetry ? retry.retryDelay(attemptNumber, policy, error) : 0
+          report(error, willRetry, delay)
+
+          if (!willRetry) {
+            throw error
+          }
+          return retry.wait(delay, options.signal)
+            .then(() => attempt(attemptNumber + 1))
+        })
+    }
+
+    return attempt(1)
+  }
+
+  /**
+   * Serializes the payload of a write, if it is an RDF graph or a list of
+   * statements (see `graphUtil.serializeGraph()`). Other payloads are
+   * returned as is. Relative IRIs are resolved against the document URL,
+   * so that the document round-trips cleanly.
+   * @method serializeBody
+   * @param data {Object} Payload (see `put()`)
+   * @param mimeType {string} Content type to serialize to (Turtle,
+   *   N-Triples, JSON-LD, etc, see the `formats` module)
+   * @param documentUrl {string} URL of the document that is written
+   * @param [options={}] Options hashmap (see `graphUtil.serializeGraph()`)
+   * @throws {UnsupportedFormatError} Rejects if the data cannot be
+   *   serialized to the content type
+   * @return {Promise<Object>} Serialized payload
+   */
+  serializeBody (data, mimeType, documentUrl, options = {}) {
+    return Promise.resolve()
+      .then(() => {
+        if (!graphUtil.isGraphData(data)) {
+          return data
+        }
+        return graphUtil.serializeGraph(this.rdf, data, mimeType, documentUrl,
+          options)
+      })
   }
 
   /**
-   * Sends a generic XHR request with the appropriate Solid headers,
+   * Sends a generic HTTP request with the appropriate Solid headers,
    * and returns a promise that resolves to a parsed response.
+   * The request goes through the middleware chain (see `use()`).
    * @method solidRequest
    * @param url {string} URL of the request
    * @param method {string} HTTP Verb ('GET', 'PUT', etc)
@@ -298,60 +1653,258 @@ class SolidWebClient {
    *          CORS Requests.
    * @param [options.timeout=config.timeout] {Number} Request timeout in
    *          milliseconds.
-   * @param [data] {Object} Optional data / payload
+   * @param [options.ifMatch] {string} ETag that the resource must match
+   *          (`If-Match:` header), for optimistic concurrency on writes.
+   * @param [options.ifNoneMatch] {string} ETag that the resource must not
+   *          match, or `'*'` to only create new resources (`If-None-Match:`)
+   * @param [options.ifUnmodifiedSince] {Date|string} Only perform the write
+   *          if the resource was not modified since this date
+   *          (`If-Unmodified-Since:` header)
+   * @param [options.retry=config.retry] {Object} Retry policy overrides for
+   *          this request (see `config.retry`)
+   * @param [options.responseType='text'] {string} How to read the response
+   *          body: `'text'`, `'arraybuffer'` or `'blob'` (see
+   *          `SolidResponse.arrayBuffer()`)
+   * @param [options.onUploadProgress] {Function} Called with progress events,
+   *          `{ loaded, total, lengthComputable }`, while the body is sent
+   *          (not supported by the fetch transport)
+   * @param [options.onDownloadProgress] {Function} Called with progress
+   *          events while the response is received
+   * @param [options.signal] {AbortSignal} Signal (of an `AbortController`)
+   *          that cancels the request, which then rejects with an
+   *          `AbortError` (and is not retried)
+   * @param [data] {string|ArrayBuffer|Blob|Buffer|Readable|ReadableStream}
+   *          Optional data / payload. Streams are read into memory first
+   *          (so that the request can be retried).
    * @throws {HttpError} Rejects with `httpError.HttpError` of the appropriate
    *   type
+   * @throws {PreconditionFailedError} Rejects with this error (carrying the
+   *   current state of the resource) if a conditional write failed
+   * @throws {AbortError} Rejects with this error if the request is aborted
    * @return {Promise<SolidResponse>}
    */
   solidRequest (url, method, options, data) {
     options = options || {}
     options.headers = options.headers || {}
 
-    if (this.auth && this.auth.accessToken) {
-      options.headers['Authorization'] = 'Bearer ' + this.auth.accessToken
+    if (options.ifMatch) {
+      options.headers['If-Match'] = options.ifMatch
     }
-
-    options.proxyUrl = options.proxyUrl || this.config.proxyUrl
-    options.timeout = options.timeout || this.config.timeout
-    if (this.needsProxy(url) || options.forceProxy) {
-      url = this.proxyUrl(url)
+    if (options.ifNoneMatch) {
+      options.headers['If-None-Match'] = options.ifNoneMatch
+    }
+    if (options.ifUnmodifiedSince) {
+      let date = options.ifUnmodifiedSince
+      options.headers['If-Unmodified-Since'] = date instanceof Date
+        ? date.toUTCString()
+        : date
     }
 
-    const client = this
+    let dispatch = (index, request) => {
+      if (index === this.middleware.length) {
+        let requestOptions = Object.assign({}, request.options,
+          { headers: request.headers })
+        return this.sendWithRetries(request.url, request.method,
+          requestOptions, request.data)
+      }
+      return Promise.resolve()
+        .then(() => {
+          return this.middleware[index](request, (nextRequest) => {
+            return dispatch(index + 1, nextRequest || request)
+          })
+        })
+    }
 
-    return new Promise((resolve, reject) => {
-      let http = new XMLHttpRequest()
+    let body = bodyUtil.isStream(data)
+      ? bodyUtil.readStream(data)
+      : Promise.resolve(data)
 
-      http.open(method, url)
-      if (!options.noCredentials) {
-        http.withCredentials = true
-      }
+    return body
+      .then((data) => {
+        let request = {
+          url: url,
+          method: method,
+          headers: options.headers,
+          data: data,
+          options: options
+        }
+        return dispatch(0, request)
+      })
+      .then((response) => {
+        this.invalidateCache(url, method)
+        return response
+      }, (error) => {
+        this.invalidateCache(url, method)
+        throw error
+      })
+      .catch((error) => {
+        if (!(error instanceof PreconditionFailedError) || method === 'GET' ||
+            method === 'HEAD') {
+          throw error
+        }
+        // Attach the current state of the resource, to resolve the conflict
+        return this.get(url)
+          .then((currentResponse) => {
+            error.currentResponse = currentResponse
+          }, () => {})
+          .then(() => { throw error })
+      })
+  }
 
-      for (var header in options.headers) {  // Add in optional headers
-        http.setRequestHeader(header, options.headers[header])
-      }
+  /**
+   * Subscribes to live change notifications for a resource or container,
+   * over the websocket that the server advertises with the `Updates-Via:`
+   * header. A single websocket is opened (and reused) per server; it is
+   * reconnected automatically if it drops.
+   *
+   * Usage:
+   *
+   *   ```
+   *   webClient.subscribe('https://example.com/chat/', function (url) {
+   *     console.log('Changed:', url)
+   *   })
+   *     .then(function (unsubscribe) {
+   *       // later: unsubscribe()
+   *     })
+   *   ```
+   *
+   * @method subscribe
+   * @param url {string} URL of the resource or container to watch
+   * @param callback {Function} Called with the URL on every `pub` message
+   *
+   * @throws {Error} Rejects if the server does not support live updates, or
+   *   if no WebSocket implementation is available
+   *
+   * @return {Promise<Function>} Resolves to an unsubscribe function
+   */
+  subscribe (url, callback) {
+    let WebSocketClass = this.config.WebSocket ||
+      (typeof WebSocket !== 'undefined' ? WebSocket : null)
+    if (!WebSocketClass) {
+      return Promise.reject(new Error('No WebSocket implementation available'))
+    }
 
-      if (options.timeout) {
-        http.timeout = options.timeout
-      }
+    return this.head(url)
+      .then((response) => {
+        let socketUrl = response.websocket
+        if (!socketUrl) {
+          throw new Error('Server does not advertise live updates for ' + url)
+        }
+        let socket = this.updatesSockets[socketUrl]
+        if (!socket) {
+          socket = new UpdatesSocket(socketUrl, WebSocketClass)
+          this.updatesSockets[socketUrl] = socket
+        }
+        return socket.subscribe(response.url, callback)
+      })
+  }
 
-      http.onload = function () {
-        if (this.status >= 200 && this.status < 300) {
-          resolve(client.createResponse(this, method))
-        } else {
-          reject(new HttpError(this.status, this.statusText, { xhr: this }))
+  /**
+   * Updates the metadata (description) resource of a resource with a patch
+   * (see `patch()`). Its location is discovered with a HEAD request, from
+   * the `Link: <...>; rel="describedBy"` header. Relative IRIs in the triple
+   * patterns (such as `<>`) refer to the described resource, not to the
+   * metadata resource.
+   *
+   * Usage:
+   *
+   *   ```
+   *   webClient.updateMetadata('https://example.com/photos/cat.jpg', [], [
+   *     [ '<>', '<http://purl.org/dc/terms/title>', '"My cat"' ]
+   *   ])
+   *   ```
+   *
+   * @method updateMetadata
+   * @param url {string} URL of the described resource
+   * @param toDel {Array} Triple patterns to delete (see `patch()`)
+   * @param toIns {Array} Triple patterns to insert
+   * @param [options={}] Options hashmap (see `patch()`)
+   *
+   * @throws {Error} Rejects if the server does not advertise a
+   *   `describedBy` link
+   *
+   * @return {Promise<SolidResponse>} Result of the PATCH operation
+   */
+  updateMetadata (url, toDel, toIns, options = {}) {
+    return this.head(url)
+      .then((response) => {
+        let metaUrl = response.metaAbsoluteUrl()
+        if (!metaUrl) {
+          throw new Error('No describedBy link found for ' + url)
         }
-      }
+        let resolve = (patterns) => (patterns || []).map((pattern) => {
+          return webUtil.resolvePatternIris(pattern, response.url)
+        })
 
-      http.onerror = function () {
-        reject(new HttpError(this.status, this.statusText, { xhr: this }))
-      }
-      if (typeof data === 'undefined' || !data) {
-        http.send()
-      } else {
-        http.send(data)
-      }
-    })
+        return this.patch(metaUrl, resolve(toDel), resolve(toIns), options)
+      })
+  }
+
+  /**
+   * Adds a middleware to the end of the request middleware chain. The
+   * built-in middleware (auth header, proxy and timeout handling, see
+   * `middleware.js`) runs first.
+   *
+   * Usage:
+   *
+   *   ```
+   *   webClient.use(function (request, next) {
+   *     request.headers['X-Tenant'] = 'acme'
+   *     return next(request)
+   *       .catch(function (error) {
+   *         throw new MyAppError(error.status, request.url)
+   *       })
+   *   })
+   *   ```
+   *
+   * @method use
+   * @param middleware {Function} Function `(request, next)`, where `request`
+   *   is a hashmap of `url`, `method`, `headers`, `data` and `options`,
+   *   and `next(request)` returns a promise of the `SolidResponse`
+   *
+   * @return {SolidWebClient} This client (for chaining)
+   */
+  use (middleware) {
+    this.middleware.push(middleware)
+    return this
+  }
+
+  /**
+   * Walks a tree of containers, descending through their `ldp:contains`
+   * links. Returns an async iterator that yields `SolidContainer` and
+   * `SolidResource` instances (see `ContainerWalker` for usage).
+   *
+   * @method walk
+   * @param url {string} URL of the root container
+   * @param [options={}] {Object} Options hashmap
+   * @param [options.depth=Infinity] {Number} Maximum depth to descend to
+   * @param [options.filter] {Function} `filter(resource, depth)`, return
+   *   false to skip an item (and prune its branch)
+   * @param [options.concurrency=4] {Number} Maximum number of containers
+   *   fetched in parallel
+   *
+   * @return {ContainerWalker}
+   */
+  walk (url, options = {}) {
+    return new ContainerWalker(this, url, options)
+  }
+
+  /**
+   * Adds the statements of the `metadata` write option (see `put()` and
+   * `post()`) to the metadata resource of a resource that was just written.
+   * @method writeMetadata
+   * @param response {SolidResponse} Response of the write
+   * @param [metadata] {Array} Triple patterns to insert (see
+   *   `updateMetadata()`)
+   *
+   * @return {Promise<SolidResponse>} The response of the write
+   */
+  writeMetadata (response, metadata) {
+    if (!metadata || !metadata.length) {
+      return Promise.resolve(response)
+    }
+    return this.updateMetadata(response.url, [], metadata)
+      .then(() => response)
   }
 }
 
@@ -374,3 +1927,11 @@ function getClient (rdf, config) {
 
 module.exports = getClient
 module.exports.SolidWebClient = SolidWebClient
+module.exports.ResponseCache = ResponseCache
+module.exports.SolidAcl = SolidAcl
+module.exports.SolidProfile = SolidProfile
+module.exports.SolidTypeIndex = SolidTypeIndex
+module.exports.FetchTransport = FetchTransport
+module.exports.XhrTransport = XhrTransport
+module.exports.errors = errors
+module.exports.formats = formats
@@ -0,0 +1,71 @@
+'use strict'
+/**
+ * Provides Solid-specific error classes (in addition to the generic
+ * `HttpError` from the `standard-http-error` library)
+ * @module errors
+ */
+var HttpError = require('standard-http-error')
+var StandardError = require('standard-error')
+
+/**
+ * Rejected when a request is cancelled with its `signal` option (see
+ * `solidRequest()`). Unlike network errors, it has no `status`, and
+ * aborted requests are never retried.
+ * @class AbortError
+ * @extends StandardError
+ */
+class AbortError extends StandardError {}
+AbortError.prototype.name = 'AbortError'
+
+/**
+ * Thrown when a patch (see `web.patch()`) contains a malformed triple
+ * pattern, before anything is sent to the server. Its `pattern` property
+ * holds the offending triple pattern.
+ * @class InvalidPatchError
+ * @extends StandardError
+ */
+class InvalidPatchError extends StandardError {}
+InvalidPatchError.prototype.name = 'InvalidPatchError'
+
+/**
+ * Rejected when a conditional write (`ifMatch`, `ifNoneMatch` or
+ * `ifUnmodifiedSince` options) fails with a `412 Precondition Failed`,
+ * meaning that the resource was changed by someone else in the meantime.
+ * @class PreconditionFailedError
+ * @extends HttpError
+ */
+class PreconditionFailedError extends HttpError {
+  /**
+   * @constructor
+   * @param [message] {string}
+   * @param [props] {Object} Additional properties (such as `xhr`)
+   */
+  constructor (message, props) {
+    super(412, message, props)
+    /**
+     * Current state of the resource on the server (result of a GET issued
+     * after the failed write), or `null` if it could not be retrieved
+     * (for example, if the resource has since been deleted)
+     * @property currentResponse
+     * @type SolidResponse
+     */
+    this.currentResponse = this.currentResponse || null
+  }
+}
+PreconditionFailedError.prototype.name = 'PreconditionFailedError'
+
+/**
+ * Thrown when parsing a resource whose media type has no registered parser
+ * (see the `formats` module). Its `contentType` property holds the media
+ * type of the resource.
+ * @class UnsupportedFormatError
+ * @extends StandardError
+ */
+class UnsupportedFormatError extends StandardError {}
+UnsupportedFormatError.prototype.name = 'UnsupportedFormatError'
+
+module.exports.AbortError = AbortError
+module.exports.HttpError = HttpError
+module.exports.InvalidPatchError = InvalidPatchError
+module.exports.PreconditionFailedError = PreconditionFailedError
+module.exports.UnsupportedFormatError = UnsupportedFormatError
@@ -0,0 +1,337 @@
+'use strict'
+/**
+ * Provides the registry of RDF formats that the web client can parse and
+ * serialize. It maps media types (and their aliases) to parsers and
+ * serializers, and is used to build the default `Accept:` header of `get()`
+ * requests. Example:
+ *
+ *   ```
+ *   var formats = require('solid-web-client').formats
+ *   formats.register('text/x-custom-rdf', {
+ *     q: 0.5,
+ *     parse: function (rdf, source, graph, baseUrl) {
+ *       // add the statements to `graph`
+ *     }
+ *   })
+ *   ```
+ * @module formats
+ */
+var UnsupportedFormatError = require('./errors').UnsupportedFormatError
+
+module.exports.acceptHeader = acceptHeader
+module.exports.getFormat = getFormat
+module.exports.isSupported = isSupported
+module.exports.mediaTypes = mediaTypes
+module.exports.normalizeMediaType = normalizeMediaType
+module.exports.parse = parse
+module.exports.register = register
+module.exports.serialize = serialize
+module.exports.unregister = unregister
+
+/**
+ * Relative preference (`q` value) of any other media type, in the default
+ * `Accept:` header (so that non-RDF resources can be fetched too)
+ */
+var ANY_TYPE_Q = 0.5
+
+/**
+ * Default datatype of literals (omitted when serializing)
+ */
+var XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string'
+
+/**
+ * Registered formats, keyed by media type
+ */
+var formats = {}
+
+/**
+ * Media type aliases, mapped to the registered media types
+ */
+var aliases = {}
+
+/**
+ * Returns the `Accept:` header listing the registered formats (by order of
+ * preference), followed by any other type.
+ * @method acceptHeader
+ *
+ * @return {string} For example, `'text/turtle,application/ld+json;q=0.9,*\/*;q=0.5'`
+ */
+function acceptHeader () {
+  let types = mediaTypes()
+    .map((mediaType) => {
+      let q = formats[mediaType].q
+      return q === 1 ? mediaType : mediaType + ';q=' + q
+    })
+  return types.concat('*/*;q=' + ANY_TYPE_Q).join(',')
+}
+
+/**
+ * Returns the registered format of a media type (or of one of its aliases),
+ * or null if none.
+ * @method getFormat
+ *
+ * @param contentType {string} Media type, possibly with parameters
+ *   (`'text/turtle; charset=utf-8'`)
+ *
+ * @return {Object|null} Format hashmap, `{ mediaType, q, async, parse,
+ *   serialize }`
+ */
+function getFormat (contentType) {
+  return formats[normalizeMediaType(contentType)] || null
+}
+
+/**
+ * Returns true if the media type can be parsed.
+ * @method isSupported
+ *
+ * @param contentType {string}
+ *
+ * @return {Boolean}
+ */
+function isSupported (contentType) {
+  return !!getFormat(contentType)
+}
+
+/**
+ * Returns the registered media types, by order of preference.
+ * @method mediaTypes
+ *
+ * @return {Array<string>}
+ */
+function mediaTypes () {
+  return Object.keys(formats)
+    .sort((a, b) => formats[b].q - formats[a].q)
+}
+
+/**
+ * Normalizes a media type: lower case, without parameters (such as
+ * `charset`), and with aliases resolved to the registered media type.
+ * @method normalizeMediaType
+ *
+ * @param contentType {string}
+ *
+ * @return {string|null}
+ */
+function normalizeMediaType (contentType) {
+  if (!contentType) {
+    return null
+  }
+  let mediaType = contentType.split(';')[0].trim().toLowerCase()
+  return aliases[mediaType] || mediaType
+}
+
+/**
+ * Parses RDF source into a graph, with the parser of its format.
+ * @method parse
+ *
+ * @param rdf {RDF} RDF library such as rdflib.js
+ * @param source {string} Text source code
+ * @param graph {Graph} Graph to add the parsed statements to
+ * @param baseUrl {string}
+ * @param contentType {string}
+ *
+ * @throws {UnsupportedFormatError} If no parser is registered for the type
+ *
+ * @return {undefined|Promise} A promise if the format is parsed
+ *   asynchronously (see the `async` flag of `register()`)
+ */
+function parse (rdf, source, graph, baseUrl, contentType) {
+  let format = getFormat(contentType)
+  if (!format) {
+    throw new UnsupportedFormatError('Unsupported RDF format: ' + contentType,
+      { contentType: contentType })
+  }
+  return format.parse(rdf, source, graph, baseUrl)
+}
+
+/**
+ * Registers (or replaces) the parser of a format.
+ * @method register
+ *
+ * @param mediaType {string}
+ * @param format {Object} Format hashmap
+ * @param format.parse {Function} `parse(rdf, source, graph, baseUrl)`,
+ *   adds the statements of the source to the graph
+ * @param [format.serialize] {Function} `serialize(rdf, statements, baseUrl)`,
+ *   returns the source of a list of statements (IRIs may be written
+ *   relative to `baseUrl`, if given)
+ * @param [format.q=1] {Number} Preference in the `Accept:` header
+ * @param [format.aliases=[]] {Array<string>} Other media types of the format
+ * @param [format.async=false] {Boolean} Does the parser return a promise
+ */
+function register (mediaType, format) {
+  mediaType = mediaType.toLowerCase()
+  formats[mediaType] = {
+    mediaType: mediaType,
+    q: typeof format.q === 'number' ? format.q : 1,
+    async: !!format.async,
+    parse: format.parse,
+    serialize: format.serialize || null
+  }
+  let formatAliases = format.aliases || []
+  formatAliases.forEach((alias) => {
+    aliases[alias.toLowerCase()] = mediaType
+  })
+}
+
+/**
+ * Serializes a list of statements, with the serializer of a format.
+ * @method serialize
+ *
+ * @param rdf {RDF} RDF library such as rdflib.js
+ * @param statements {Array<Statement>}
+ * @param [baseUrl] {string} Base URL that IRIs may be written relative to
+ * @param contentType {string}
+ *
+ * @throws {UnsupportedFormatError} If no serializer is registered for the type
+ *
+ * @return {string}
+ */
+function serialize (rdf, statements, baseUrl, contentType) {
+  let format = getFormat(contentType)
+  if (!format || !format.serialize) {
+    throw new UnsupportedFormatError('Cannot serialize to RDF format: ' +
+      contentType, { contentType: contentType })
+  }
+  return format.serialize(rdf, statements, baseUrl)
+}
+
+/**
+ * Removes a format (and its aliases) from the registry.
+ * @method unregister
+ *
+ * @param mediaType {string}
+ */
+function unregister (mediaType) {
+  mediaType = normalizeMediaType(mediaType)
+  delete formats[mediaType]
+  Object.keys(aliases).forEach((alias) => {
+    if (aliases[alias] === mediaType) {
+      delete aliases[alias]
+    }
+  })
+}
+
+/**
+ * Returns a parser that uses `rdf.parse()` with a given content type.
+ * @param contentType {string} Content type understood by `rdf.parse()`
+ * @return {Function}
+ */
+function rdfParser (contentType) {
+  return function (rdf, source, graph, baseUrl) {
+    rdf.parse(source, graph, baseUrl, contentType)
+  }
+}
+
+/**
+ * Returns a parser that uses `rdf.parse()` with a callback (for the formats
+ * that rdflib.js parses asynchronously).
+ * @param contentType {string}
+ * @return {Function}
+ */
+function asyncRdfParser (contentType) {
+  return function (rdf, source, graph, baseUrl) {
+    return new Promise((resolve, reject) => {
+      rdf.parse(source, graph, baseUrl, contentType, (error) => {
+        return error ? reject(error) : resolve()
+      })
+    })
+  }
+}
+
+/**
+ * Returns a serializer that uses `rdf.serialize()` with a given content type.
+ * @param contentType {string} Content type understood by `rdf.serialize()`
+ * @return {Function}
+ */
+function rdfSerializer (contentType) {
+  return function (rdf, statements, baseUrl) {
+    let graph = rdf.graph()
+    statements.forEach((st) => {
+      graph.add(st.subject, st.predicate, st.object, st.why)
+    })
+    return rdf.serialize(undefined, graph, baseUrl, contentType)
+  }
+}
+
+/**
+ * Serializes statements as N-Triples (which are valid N-Quads too).
+ * @param rdf {RDF}
+ * @param statements {Array<Statement>}
+ * @return {string}
+ */
+function serializeNTriples (rdf, statements) {
+  // Required here, since graph-util depends on this module
+  return require('./util/graph-util').serializeStatements(statements) + '\n'
+}
+
+/**
+ * Serializes statements as (flattened, expanded) JSON-LD.
+ * @param rdf {RDF}
+ * @param statements {Array<Statement>}
+ * @return {string}
+ */
+function serializeJsonLd (rdf, statements) {
+  let nodes = {}
+  let id = (term) => term.toNT().indexOf('_:') === 0 ? term.toNT() : term.value
+  let jsonValue = (term) => {
+    if (term.termType !== 'literal' && term.termType !== 'Literal') {
+      return { '@id': id(term) }
+    }
+    let value = { '@value': term.value }
+    let datatype = term.datatype && term.datatype.value
+    if (term.lang || term.language) {
+      value['@language'] = term.lang || term.language
+    } else if (datatype && datatype !== XSD_STRING) {
+      value['@type'] = datatype
+    }
+    return value
+  }
+
+  statements.forEach((st) => {
+    let subject = id(st.subject)
+    let node = nodes[subject] = nodes[subject] || { '@id': subject }
+    let predicate = st.predicate.value
+    node[predicate] = (node[predicate] || []).concat(jsonValue(st.object))
+  })
+
+  return JSON.stringify(Object.keys(nodes).map((key) => nodes[key]), null, 2)
+}
+
+register('text/turtle', {
+  q: 1,
+  aliases: [ 'application/turtle', 'application/x-turtle' ],
+  parse: rdfParser('text/turtle'),
+  serialize: rdfSerializer('text/turtle')
+})
+register('application/ld+json', {
+  q: 0.9,
+  async: true,
+  parse: asyncRdfParser('application/ld+json'),
+  serialize: serializeJsonLd
+})
+register('application/n-triples', {
+  q: 0.8,
+  aliases: [ 'text/n-triples', 'application/ntriples' ],
+  // N-Triples is a subset of Turtle
+  parse: rdfParser('text/turtle'),
+  serialize: serializeNTriples
+})
+register('application/n-quads', {
+  q: 0.7,
+  async: true,
+  aliases: [ 'application/nquads', 'text/x-nquads' ],
+  parse: asyncRdfParser('application/n-quads'),
+  serialize: serializeNTriples
+})
+register('text/n3', {
+  q: 0.7,
+  aliases: [ 'text/rdf+n3', 'application/n3' ],
+  parse: rdfParser('text/n3'),
+  serialize: rdfSerializer('text/n3')
+})
+register('application/rdf+xml', {
+  q: 0.6,
+  parse: rdfParser('application/rdf+xml'),
+  serialize: rdfSerializer('application/rdf+xml')
+})
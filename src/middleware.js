@@ -0,0 +1,77 @@
+'use strict'
+/**
+ * Provides the built-in request middleware of the web client (see
+ * `SolidWebClient.use()`).
+ *
+ * A middleware is a function `(request, next)` that returns a promise of a
+ * `SolidResponse`. It can modify the `request` hashmap (`url`, `method`,
+ * `headers`, `data` and `options`) before calling `next(request)`, and
+ * inspect or replace the resulting response (or error) afterwards.
+ * Example:
+ *
+ *   ```
+ *   webClient.use(function (request, next) {
+ *     request.headers['X-Request-Id'] = uuid()
+ *     return next(request)
+ *   })
+ *   ```
+ * @module middleware
+ */
+module.exports.auth = auth
+module.exports.proxy = proxy
+module.exports.timeout = timeout
+
+/**
+ * Returns a middleware that adds the `Authorization:` header, if the client
+ * has an auth instance with an access token.
+ * @method auth
+ *
+ * @param client {SolidWebClient}
+ *
+ * @return {Function} Middleware
+ */
+function auth (client) {
+  return function authMiddleware (request, next) {
+    if (client.auth && client.auth.accessToken) {
+      request.headers['Authorization'] = 'Bearer ' + client.auth.accessToken
+    }
+    return next(request)
+  }
+}
+
+/**
+ * Returns a middleware that rewrites the request URL to go through the
+ * proxy, when needed to avoid being blocked by CORS (see
+ * `client.needsProxy()`), or when forced with the `forceProxy` option.
+ * @method proxy
+ *
+ * @param client {SolidWebClient}
+ *
+ * @return {Function} Middleware
+ */
+function proxy (client) {
+  return function proxyMiddleware (request, next) {
+    let options = request.options
+    options.proxyUrl = options.proxyUrl || client.config.proxyUrl
+    if (client.needsProxy(request.url) || options.forceProxy) {
+      request.url = client.proxyUrl(request.url, options.proxyUrl)
+    }
+    return next(request)
+  }
+}
+
+/**
+ * Returns a middleware that applies the default request timeout from the
+ * client config (unless the request has a `timeout` option of its own).
+ * @method timeout
+ *
+ * @param client {SolidWebClient}
+ *
+ * @return {Function} Middleware
+ */
+function timeout (client) {
+  return function timeoutMiddleware (request, next) {
+    request.options.timeout = request.options.timeout || client.config.timeout
+    return next(request)
+  }
+}
@@ -0,0 +1,377 @@
+'use strict'
+/**
+ * @module acl
+ */
+const vocab = require('solid-namespace')
+
+const ACL = 'http://www.w3.org/ns/auth/acl#'
+const AUTHENTICATED_AGENT = ACL + 'AuthenticatedAgent'
+const PUBLIC_AGENT = 'http://xmlns.com/foaf/0.1/Agent'
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'
+const MODELLED_PREDICATES = [ 'agent', 'agentGroup', 'agentClass', 'origin',
+  'mode', 'accessTo', 'default', 'defaultForNew' ].map((name) => ACL + name)
+
+/**
+ * Represents a Web Access Control (`.acl`) document of a resource, as a list
+ * of plain authorization objects. Example authorization:
+ *
+ *   ```
+ *   {
+ *     id: 'https://example.com/photos/.acl#owner',
+ *     agents: [ 'https://alice.example.com/profile/card#me' ],
+ *     agentGroups: [],
+ *     public: false,         // acl:agentClass foaf:Agent
+ *     authenticated: false,  // acl:agentClass acl:AuthenticatedAgent
+ *     agentClasses: [],      // Other acl:agentClass values
+ *     origins: [],
+ *     modes: [ 'Read', 'Write', 'Control' ],
+ *     accessTo: [ 'https://example.com/photos/' ],
+ *     default: [ 'https://example.com/photos/' ],
+ *     defaultForNew: [],     // Legacy acl:defaultForNew values
+ *     otherStatements: []    // Other statements about the authorization
+ *   }
+ *   ```
+ *
+ * Statements that are not part of an authorization object are kept as they
+ * are (see `otherStatements`), so that saving does not lose them.
+ *
+ * Use `grant()`, `revoke()` and `setPublic()` to edit it, and
+ * `webClient.saveAcl()` to write the changes back to the server.
+ *
+ * Note: when a resource has no `.acl` of its own, it inherits the
+ * permissions of its parent container. Saving a new `.acl` replaces those
+ * inherited permissions, so make sure it includes the owner's `Control`.
+ * @class SolidAcl
+ */
+class SolidAcl {
+  /**
+   * @constructor
+   * @param rdf {RDF} RDF Library (such as rdflib.js) to inject
+   * @param resourceUrl {string} URL of the resource controlled by this ACL
+   * @param aclUrl {string} URL of the `.acl` document
+   * @param [graph] {Graph} Parsed graph of the `.acl` document (none if the
+   *   document does not exist yet)
+   */
+  constructor (rdf, resourceUrl, aclUrl, graph) {
+    /**
+     * RDF Library (such as rdflib.js)
+     * @property rdf
+     * @type RDF
+     */
+    this.rdf = rdf
+    /**
+     * URL of the resource controlled by this ACL
+     * @property resourceUrl
+     * @type string
+     */
+    this.resourceUrl = resourceUrl
+    /**
+     * URL of the `.acl` document
+     * @property url
+     * @type string
+     */
+    this.url = aclUrl
+    /**
+     * List of authorization objects (see class docs)
+     * @property authorizations
+     * @type Array<Object>
+     */
+    this.authorizations = []
+    /**
+     * ETag of the `.acl` document when it was loaded (used to avoid
+     * overwriting concurrent changes when saving), or null
+     * @property etag
+     * @type string
+     */
+    this.etag = null
+    /**
+     * Statements of the `.acl` document that are not about an authorization
+     * (written back as they are by `serialize()`)
+     * @property otherStatements
+     * @type Array<Statement>
+     */
+    this.otherStatements = []
+
+    if (graph) {
+      this.initFromGraph(graph)
+    }
+  }
+
+  /**
+   * Parses the `acl:Authorization` entries of a graph, and keeps its other
+   * statements.
+   * @method initFromGraph
+   * @param graph {Graph}
+   */
+  initFromGraph (graph) {
+    let ns = vocab(this.rdf)
+    let values = (subject, predicate) => {
+      return graph.each(subject, predicate).map((node) => node.uri || node.value)
+    }
+    let isModelled = (st) => {
+      let predicate = st.predicate.uri
+      return MODELLED_PREDICATES.indexOf(predicate) !== -1 ||
+        (predicate === RDF_TYPE && st.object.uri === ACL + 'Authorization')
+    }
+
+    let subjects = graph.each(null, ns.rdf('type'), ns.acl('Authorization'))
+    this.authorizations = subjects.map((subject) => {
+      let agentClasses = values(subject, ns.acl('agentClass'))
+      return {
+        id: subject.uri || null,
+        agents: values(subject, ns.acl('agent')),
+        agentGroups: values(subject, ns.acl('agentGroup')),
+        public: agentClasses.indexOf(PUBLIC_AGENT) !== -1,
+        authenticated: agentClasses.indexOf(AUTHENTICATED_AGENT) !== -1,
+        agentClasses: agentClasses.filter((agentClass) => {
+          return agentClass !== PUBLIC_AGENT && agentClass !== AUTHENTICATED_AGENT
+        }),
+        origins: values(subject, ns.acl('origin')),
+        modes: values(subject, ns.acl('mode'))
+          .map((mode) => mode.replace(ACL, '')),
+        accessTo: values(subject, ns.acl('accessTo')),
+        default: values(subject, ns.acl('default')),
+        defaultForNew: values(subject, ns.acl('defaultForNew')),
+        otherStatements: []
+      }
+    })
+
+    // Give blank node authorizations an id, so that they can be serialized
+    this.authorizations.forEach((auth) => {
+      if (!auth.id) {
+        auth.id = this.newAuthorization(false).id
+      }
+    })
+
+    graph.statementsMatching(null).forEach((st) => {
+      let index = subjects.findIndex((subject) => subject.equals(st.subject))
+      if (index === -1) {
+        this.otherStatements.push(st)
+      } else if (!isModelled(st)) {
+        let auth = this.authorizations[index]
+        auth.otherStatements.push(this.rdf.st(this.rdf.sym(auth.id),
+          st.predicate, st.object, st.why))
+      }
+    })
+  }
+
+  /**
+   * Returns the authorizations that apply to a given agent (WebID) or group.
+   * @method findByAgent
+   * @param agent {string} WebID or group URL
+   * @return {Array<Object>}
+   */
+  findByAgent (agent) {
+    return this.authorizations.filter((auth) => {
+      return auth.agents.indexOf(agent) !== -1 ||
+        auth.agentGroups.indexOf(agent) !== -1
+    })
+  }
+
+  /**
+   * Grants access modes to an agent (or group), adding them to its existing
+   * authorization for this resource if there is one.
+   * @method grant
+   * @param agent {string} WebID of the agent (or URL of the group)
+   * @param modes {Array<string>} Modes to grant: 'Read', 'Write', 'Append'
+   *   and/or 'Control'
+   * @param [options={}] {Object} Options hashmap
+   * @param [options.group=false] {Boolean} Is the agent a group (`acl:agentGroup`)
+   * @param [options.default] {Boolean} Also grant access to the contents
+   *   of a container (`acl:default`). Defaults to true for containers.
+   * @return {SolidAcl} This ACL (for chaining)
+   */
+  grant (agent, modes, options = {}) {
+    let isDefault = typeof options.default === 'boolean'
+      ? options.default
+      : this.resourceUrl.endsWith('/')
+    let listName = options.group ? 'agentGroups' : 'agents'
+
+    let auth = this.authorizations.find((auth) => {
+      return auth[listName].length === 1 && auth[listName][0] === agent &&
+        auth.agents.length + auth.agentGroups.length === 1 &&
+        !auth.public && !auth.authenticated && auth.agentClasses.length === 0 &&
+        auth.origins.length === 0 &&
+        auth.accessTo.indexOf(this.resourceUrl) !== -1 &&
+        (auth.default.length + auth.defaultForNew.length > 0) === isDefault
+    })
+
+    if (!auth) {
+      auth = this.newAuthorization(isDefault)
+      auth[listName].push(agent)
+      this.authorizations.push(auth)
+    }
+    modes.forEach((mode) => {
+      if (auth.modes.indexOf(mode) === -1) {
+        auth.modes.push(mode)
+      }
+    })
+
+    return this
+  }
+
+  /**
+   * Returns a new (empty) authorization for this resource, with a unique id.
+   * @method newAuthorization
+   * @param isDefault {Boolean} Should the authorization apply to the
+   *   contents of a container too
+   * @return {Object}
+   */
+  newAuthorization (isDefault) {
+    let ids = this.authorizations.map((auth) => auth.id)
+    let count = this.authorizations.length
+    let id
+    do {
+      count++
+      id = this.url + '#authorization' + count
+    } while (ids.indexOf(id) !== -1)
+
+    return {
+      id: id,
+      agents: [],
+      agentGroups: [],
+      public: false,
+      authenticated: false,
+      agentClasses: [],
+      origins: [],
+      modes: [],
+      accessTo: [ this.resourceUrl ],
+      default: isDefault ? [ this.resourceUrl ] : [],
+      defaultForNew: [],
+      otherStatements: []
+    }
+  }
+
+  /**
+   * Removes authorizations that no longer apply to anyone, or grant nothing.
+   * @method removeEmptyAuthorizations
+   */
+  removeEmptyAuthorizations () {
+    this.authorizations = this.authorizations.filter((auth) => {
+      let hasSubjects = auth.agents.length > 0 || auth.agentGroups.length > 0 ||
+        auth.public || auth.authenticated || auth.agentClasses.length > 0
+      return hasSubjects && auth.modes.length > 0
+    })
+  }
+
+  /**
+   * Revokes access modes from an agent (or group).
+   * @method revoke
+   * @param agent {string} WebID of the agent (or URL of the group)
+   * @param [modes] {Array<string>} Modes to revoke (all of them, if omitted)
+   * @return {SolidAcl} This ACL (for chaining)
+   */
+  revoke (agent, modes) {
+    this.findByAgent(agent).forEach((auth) => {
+      let listName = auth.agents.indexOf(agent) !== -1 ? 'agents' : 'agentGroups'
+      let remainingModes = modes
+        ? auth.modes.filter((mode) => modes.indexOf(mode) === -1)
+        : []
+      let isShared = auth.agents.length + auth.agentGroups.length > 1 ||
+        auth.public || auth.authenticated || auth.agentClasses.length > 0
+
+      if (!isShared) {
+        auth.modes = remainingModes
+        return
+      }
+      // The authorization applies to others too: take the agent out of it,
+      // and give it an authorization of its own for the remaining modes
+      auth[listName] = auth[listName].filter((item) => item !== agent)
+      if (remainingModes.length > 0) {
+        let ownAuth = this.newAuthorization(false)
+        ownAuth[listName] = [ agent ]
+        ownAuth.modes = remainingModes
+        ownAuth.accessTo = auth.accessTo.slice()
+        ownAuth.default = auth.default.slice()
+        ownAuth.defaultForNew = auth.defaultForNew.slice()
+        ownAuth.origins = auth.origins.slice()
+        this.authorizations.push(ownAuth)
+      }
+    })
+    this.removeEmptyAuthorizations()
+
+    return this
+  }
+
+  /**
+   * Serializes the authorizations (and the other statements of the document)
+   * into a Turtle document.
+   * @method serialize
+   * @return {string}
+   */
+  serialize () {
+    let iri = (uri) => '<' + uri + '>'
+    let source = '@prefix acl: <' + ACL + '>.\n' +
+      '@prefix foaf: <http://xmlns.com/foaf/0.1/>.\n'
+
+    this.authorizations.forEach((auth) => {
+      let id = auth.id && auth.id.indexOf(this.url + '#') === 0
+        ? auth.id.slice(this.url.length)
+        : auth.id
+      let lines = [ 'a acl:Authorization' ]
+      let agentClasses = []
+      if (auth.public) {
+        agentClasses.push('foaf:Agent')
+      }
+      if (auth.authenticated) {
+        agentClasses.push('acl:AuthenticatedAgent')
+      }
+
+      let addLine = (predicate, objects) => {
+        if (objects.length > 0) {
+          lines.push(predicate + ' ' + objects.join(', '))
+        }
+      }
+      addLine('acl:agent', auth.agents.map(iri))
+      addLine('acl:agentGroup', auth.agentGroups.map(iri))
+      addLine('acl:agentClass', agentClasses.concat(auth.agentClasses.map(iri)))
+      addLine('acl:origin', auth.origins.map(iri))
+      addLine('acl:accessTo', auth.accessTo.map(iri))
+      addLine('acl:default', auth.default.map(iri))
+      addLine('acl:defaultForNew', auth.defaultForNew.map(iri))
+      addLine('acl:mode', auth.modes.map((mode) => 'acl:' + mode))
+      auth.otherStatements.forEach((st) => {
+        lines.push(st.predicate.toNT() + ' ' + st.object.toNT())
+      })
+
+      source += '\n' + iri(id) + '\n    ' + lines.join(';\n    ') + '.\n'
+    })
+
+    if (this.otherStatements.length > 0) {
+      source += '\n' + this.otherStatements.map((st) => st.toNT()).join('\n') + '\n'
+    }
+
+    return source
+  }
+
+  /**
+   * Sets the access modes of the public (`foaf:Agent`), replacing any
+   * previous public access.
+   * @method setPublic
+   * @param modes {Array<string>} Modes to grant to everyone (an empty list
+   *   removes public access)
+   * @param [options={}] {Object} See `grant()`
+   * @return {SolidAcl} This ACL (for chaining)
+   */
+  setPublic (modes, options = {}) {
+    let isDefault = typeof options.default === 'boolean'
+      ? options.default
+      : this.resourceUrl.endsWith('/')
+
+    this.authorizations.forEach((auth) => {
+      auth.public = false
+    })
+
+    if (modes && modes.length > 0) {
+      let auth = this.newAuthorization(isDefault)
+      auth.public = true
+      auth.modes = modes.slice()
+      this.authorizations.push(auth)
+    }
+    this.removeEmptyAuthorizations()
+
+    return this
+  }
+}
+
+module.exports = SolidAcl
@@ -0,0 +1,147 @@
+'use strict'
+/**
+ * @module batch-loader
+ */
+const graphUtil = require('../util/graph-util')
+const webUtil = require('../util/web-util')
+
+/**
+ * Default maximum number of requests in flight
+ */
+const DEFAULT_CONCURRENCY = 6
+
+/**
+ * Loads and parses a batch of RDF resources, with a limit on the number of
+ * requests in flight (overall, and optionally per server). Failures do not
+ * stop the batch: each resource gets its own result, which keeps the error.
+ *
+ * Usage:
+ *
+ *   ```
+ *   webClient.loadGraphs(contactUrls, { concurrency: 8, perHost: 2 })
+ *     .then(function (report) {
+ *       report.results.forEach(function (result) {
+ *         if (result.error) {
+ *           console.log(result.url, 'failed with', result.error.status)
+ *         }
+ *       })
+ *     })
+ *   ```
+ * @class BatchLoader
+ */
+class BatchLoader {
+  /**
+   * @constructor
+   * @param client {SolidWebClient} Web client used to fetch the resources
+   * @param locations {Array<string>} URLs of the resources to load
+   * @param [options={}] {Object} Options hashmap (also passed to `client.get()`)
+   * @param [options.concurrency=6] {Number} Maximum number of requests in
+   *   flight
+   * @param [options.perHost=Infinity] {Number} Maximum number of requests in
+   *   flight to the same server
+   * @param [options.merge=false] {Boolean} Also merge the loaded graphs into
+   *   a single graph
+   */
+  constructor (client, locations, options = {}) {
+    this.client = client
+    this.locations = locations
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY
+    this.perHost = options.perHost || Infinity
+    this.merge = !!options.merge
+    this.requestOptions = options
+  }
+
+  /**
+   * Loads all the resources.
+   * @method load
+   *
+   * @return {Promise<Object>} Resolves (never rejects) to a report hashmap,
+   *   `{ results, graph }`, where `results` has an `{ url, response, graph,
+   *   error }` hashmap for each location (in the same order), and `graph`
+   *   is the merged graph (if the `merge` option is set, otherwise null)
+   */
+  load () {
+    let results = new Array(this.locations.length)
+    let queue = this.locations.map((url, index) => ({ url: url, index: index }))
+    let activeRequests = 0
+    let activeByHost = {}
+    let completed = 0
+
+    return new Promise((resolve) => {
+      let loadQueued = () => {
+        if (completed === results.length) {
+          return resolve(this.report(results))
+        }
+        let index = 0
+        while (activeRequests < this.concurrency && index < queue.length) {
+          let item = queue[index]
+          let host = webUtil.hostname(item.url)
+          if ((activeByHost[host] || 0) >= this.perHost) {
+            index++  // Leave it queued until a request to that host is done
+            continue
+          }
+          queue.splice(index, 1)
+          activeRequests++
+          activeByHost[host] = (activeByHost[host] || 0) + 1
+
+          this.loadOne(item.url)
+            .then((result) => {
+              results[item.index] = result
+              activeRequests--
+              activeByHost[host]--
+              completed++
+              loadQueued()
+            })
+        }
+      }
+      loadQueued()
+    })
+  }
+
+  /**
+   * Loads and parses a single resource.
+   * @method loadOne
+   * @param url {string}
+   *
+   * @return {Promise<Object>} Result hashmap, `{ url, response, graph, error }`
+   *   (`error` is the `HttpError` of the request, or the parsing error)
+   */
+  loadOne (url) {
+    let result = { url: url, response: null, graph: null, error: null }
+
+    return this.client.get(url, this.requestOptions)
+      .then((response) => {
+        result.response = response
+        result.graph = response.parsedGraph()
+        return result
+      })
+      .catch((error) => {
+        result.error = error
+        return result
+      })
+  }
+
+  /**
+   * Builds the report of a finished batch, merging the graphs if needed.
+   * @method report
+   * @param results {Array<Object>}
+   *
+   * @return {Object} Report hashmap (see `load()`)
+   */
+  report (results) {
+    let graph = null
+
+    if (this.merge) {
+      graph = this.client.rdf.graph()
+      results.forEach((result) => {
+        if (result.graph) {
+          graphUtil.appendGraph(graph, result.graph, result.url)
+        }
+      })
+    }
+
+    return { results: results, graph: graph }
+  }
+}
+
+module.exports = BatchLoader
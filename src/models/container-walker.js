@@ -0,0 +1,208 @@
+'use strict'
+/**
+ * @module container-walker
+ */
+const SolidContainer = require('./container')
+const SolidResource = require('./resource')
+
+/**
+ * Default maximum number of containers fetched in parallel
+ */
+const DEFAULT_CONCURRENCY = 4
+
+/**
+ * Async iterator that walks a tree of Solid containers, following their
+ * `ldp:contains` links. Yields the root container first, then the
+ * `SolidResource` and `SolidContainer` instances found inside it (and inside
+ * its sub-containers, recursively).
+ *
+ * Containers are fetched (with `client.get()`) before they are yielded, so
+ * they are fully initialized. Non-container resources are not fetched, and
+ * are yielded as listed by their parent container.
+ *
+ * Usage (also usable with `for await`, where supported):
+ *
+ *   ```
+ *   var walker = webClient.walk('https://example.com/photos/')
+ *   function step () {
+ *     return walker.next().then(function (result) {
+ *       if (result.done) { return }
+ *       console.log(result.value.uri)
+ *       return step()
+ *     })
+ *   }
+ *   step()
+ *   ```
+ * @class ContainerWalker
+ */
+class ContainerWalker {
+  /**
+   * @constructor
+   * @param client {SolidWebClient} Web client used to fetch the containers
+   * @param rootUrl {string} URL of the container to start from
+   * @param [options={}] {Object} Options hashmap
+   * @param [options.depth=Infinity] {Number} Maximum depth to descend to
+   *   (the contents of the root container are at depth 1)
+   * @param [options.filter] {Function} Called with each item found, and its
+   *   depth: `filter(resource, depth)`. Returning false skips that item,
+   *   and prunes its branch if it is a container.
+   * @param [options.concurrency=4] {Number} Maximum number of containers
+   *   fetched in parallel
+   */
+  constructor (client, rootUrl, options = {}) {
+    this.client = client
+    this.maxDepth = typeof options.depth === 'number' ? options.depth : Infinity
+    this.filter = options.filter || (() => true)
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY
+
+    /**
+     * Items (found or fetched) that are ready to be yielded
+     * @property buffer
+     * @type Array<SolidResource|SolidContainer>
+     */
+    this.buffer = []
+    /**
+     * Containers waiting to be fetched, as `{ url, depth }` hashes
+     * @property queue
+     * @type Array<Object>
+     */
+    this.queue = [ { url: rootUrl, depth: 0 } ]
+    /**
+     * Hashmap of the URLs encountered so far (used to skip cycles)
+     * @property visited
+     * @type Object
+     */
+    this.visited = {}
+    this.visited[rootUrl] = true
+
+    this.activeRequests = 0
+    this.done = false
+    this.error = null
+    this.listeners = []
+  }
+
+  /**
+   * Starts fetching the queued containers, up to the concurrency limit.
+   * @method fetchQueued
+   */
+  fetchQueued () {
+    while (this.activeRequests < this.concurrency && this.queue.length > 0) {
+      let item = this.queue.shift()
+      this.activeRequests++
+
+      this.client.get(item.url)
+        .then((response) => {
+          if (!this.done) {
+            this.visit(response.resource, item.depth)
+          }
+        })
+        .catch((error) => {
+          this.error = this.error || error
+        })
+        .then(() => {
+          this.activeRequests--
+          this.notify()
+        })
+    }
+  }
+
+  /**
+   * Returns a promise that resolves to the next item of the walk.
+   * @method next
+   *
+   * @throws {HttpError} Rejects if a container could not be fetched
+   *
+   * @return {Promise<Object>} Iterator result, `{ value, done }`
+   */
+  next () {
+    if (this.buffer.length > 0) {
+      return Promise.resolve({ value: this.buffer.shift(), done: false })
+    }
+    if (this.error) {
+      let error = this.error
+      this.return()
+      return Promise.reject(error)
+    }
+    if (this.done || (this.queue.length === 0 && this.activeRequests === 0)) {
+      this.done = true
+      return Promise.resolve({ value: undefined, done: true })
+    }
+
+    this.fetchQueued()
+    return new Promise((resolve) => { this.listeners.push(resolve) })
+      .then(() => this.next())
+  }
+
+  /**
+   * Resolves the pending `next()` calls, after a container was fetched.
+   * @method notify
+   */
+  notify () {
+    let listeners = this.listeners
+    this.listeners = []
+    listeners.forEach((resolve) => resolve())
+  }
+
+  /**
+   * Stops the walk (called by `for await` loops on `break`).
+   * @method return
+   *
+   * @return {Promise<Object>}
+   */
+  return () {
+    this.done = true
+    this.buffer = []
+    this.queue = []
+    return Promise.resolve({ value: undefined, done: true })
+  }
+
+  /**
+   * Queues up the contents of a fetched container, and adds the container
+   * itself to the items to be yielded.
+   * @method visit
+   * @param container {SolidContainer|SolidResource}
+   * @param depth {Number} Depth of the container
+   */
+  visit (container, depth) {
+    if (!container) {
+      return
+    }
+    this.visited[container.uri] = true
+    this.buffer.push(container)
+
+    if (!container.isContainer() || depth >= this.maxDepth) {
+      return
+    }
+
+    container.contentsUris.forEach((uri) => {
+      if (this.visited[uri]) {
+        return
+      }
+      this.visited[uri] = true
+
+      let child = container.containers[uri]
+      if (!child && uri.endsWith('/')) {
+        child = new SolidContainer(this.client.rdf, uri)
+      }
+      child = child || container.resources[uri] ||
+        new SolidResource(this.client.rdf, uri)
+      if (!this.filter(child, depth + 1)) {
+        return
+      }
+
+      if (child.isContainer()) {
+        this.queue.push({ url: uri, depth: depth + 1 })
+      } else {
+        this.buffer.push(child)
+      }
+    })
+  }
+}
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+  ContainerWalker.prototype[Symbol.asyncIterator] = function () {
+    return this
+  }
+}
+
+module.exports = ContainerWalker
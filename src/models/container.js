@@ -37,6 +37,15 @@ class SolidContainer extends SolidResource {
      * @type Object
      */
     this.resources = {}
+    /**
+     * Parts of the container representation that the server included or
+     * omitted, when requested with the `include` / `omit` options of
+     * `get()` (see `SolidResponse.preferenceApplied`). Null if the server did
+     * not apply any preferences (the representation is complete).
+     * @property preferenceApplied
+     * @type Object
+     */
+    this.preferenceApplied = response ? response.preferenceApplied : null
 
     /**
      * Hashmap of common RDF ontology namespaces
@@ -51,21 +60,27 @@ class SolidContainer extends SolidResource {
 
   /**
    * Extracts the contents (resources and sub-containers)
-   * of the given graph and adds them to this container
+   * of the given graph and adds them to this container. May be called
+   * several times (once for each page of a paged container, for example).
    *
    * @method appendFromGraph
    * @param parsedGraph {Graph}
    * @param graphUri {string}
    */
   appendFromGraph (parsedGraph, graphUri) {
-    // Set this container's types
+    // Add to this container's types
     let ns = this.vocab
     let uriNode = this.rdf.namedNode(this.uri)
-    this.types = Object.keys(parsedGraph.findTypeURIs(uriNode))
+    let types = Object.keys(parsedGraph.findTypeURIs(uriNode))
+    this.types = this.types.concat(types.filter((type) => {
+      return this.types.indexOf(type) === -1
+    }))
 
     // Extract all the contents links (resources and containers)
     let contentsUris = parseLinks(parsedGraph, null, ns.ldp('contains'))
-    this.contentsUris = this.contentsUris.concat(contentsUris.sort())
+    this.contentsUris = this.contentsUris.concat(contentsUris.filter((uri) => {
+      return this.contentsUris.indexOf(uri) === -1
+    }).sort())
 
     // Extract links that are just containers
     let containersLinks = parsedGraph.each(null, null, ns.ldp('Container'))
@@ -124,6 +139,38 @@ class SolidContainer extends SolidResource {
     return matches
   }
 
+  /**
+   * Returns true if the server says it omitted a part of this container's
+   * representation: either explicitly, or because it returned a minimal
+   * container (which leaves out containment and membership triples, unless
+   * they are included explicitly).
+   * Usage:
+   *
+   *   ```
+   *   if (container.isOmitted('PreferContainment')) {
+   *     // contentsUris is not the full list of contents
+   *   }
+   *   ```
+   * @method isOmitted
+   * @param preference {string} IRI or short name of an LDP preference
+   *   (`PreferContainment`, `PreferMembership`)
+   * @return {Boolean}
+   */
+  isOmitted (preference) {
+    let applied = this.preferenceApplied
+    if (!applied) {
+      return false
+    }
+    let ldp = (name) => this.vocab.ldp(name).uri
+    let iri = preference.indexOf(':') === -1 ? ldp(preference) : preference
+    if (applied.omit.indexOf(iri) !== -1) {
+      return true
+    }
+    let isMinimal = applied.include.indexOf(ldp('PreferMinimalContainer')) !== -1 ||
+      applied.include.indexOf(ldp('PreferEmptyContainer')) !== -1
+    return isMinimal && applied.include.indexOf(iri) === -1
+  }
+
   /**
    * Is this a Container instance (vs a regular resource).
    * @return {Boolean}
@@ -0,0 +1,115 @@
+'use strict'
+/**
+ * @module page-iterator
+ */
+
+/**
+ * Async iterator over the pages of a paged resource (such as a large
+ * container, see [LDP Paging](https://www.w3.org/TR/ldp-paging/)). Fetches
+ * the first page, and then follows the `Link: <...>; rel="next"` headers
+ * until the last page. Yields a `SolidResponse` for each page (whose
+ * `resource` is a `SolidContainer` with the contents of that page).
+ *
+ * Usage (also usable with `for await`, where supported):
+ *
+ *   ```
+ *   var pages = webClient.getPages('https://example.com/archive/')
+ *   function step () {
+ *     return pages.next().then(function (result) {
+ *       if (result.done) { return }
+ *       console.log(result.value.resource.contentsUris)
+ *       return step()
+ *     })
+ *   }
+ *   step()
+ *   ```
+ * @class PageIterator
+ */
+class PageIterator {
+  /**
+   * @constructor
+   * @param client {SolidWebClient} Web client used to fetch the pages
+   * @param url {string} URL of the paged resource (or of its first page)
+   * @param [options={}] {Object} Options hashmap for each `client.get()`
+   */
+  constructor (client, url, options = {}) {
+    this.client = client
+    this.options = options
+    /**
+     * URL of the next page to fetch (null after the last page)
+     * @property nextUrl
+     * @type string
+     */
+    this.nextUrl = url
+    /**
+     * Hashmap of the page URLs fetched so far (used to stop on cycles)
+     * @property visited
+     * @type Object
+     */
+    this.visited = {}
+    this.pending = Promise.resolve()
+  }
+
+  /**
+   * Returns a promise that resolves to the next page.
+   * @method next
+   *
+   * @throws {HttpError} Rejects if a page could not be fetched
+   *
+   * @return {Promise<Object>} Iterator result, `{ value, done }`
+   */
+  next () {
+    // Pages are fetched one after the other, even if next() is called again
+    // before the previous page has arrived
+    let result = this.pending
+      .then(() => this.fetchNext())
+    this.pending = result.catch(() => {})
+    return result
+  }
+
+  /**
+   * Fetches the next page, and finds the URL of the one after it.
+   * @method fetchNext
+   *
+   * @return {Promise<Object>} Iterator result
+   */
+  fetchNext () {
+    let url = this.nextUrl
+    if (!url) {
+      return Promise.resolve({ value: undefined, done: true })
+    }
+    this.visited[url] = true
+
+    let options = Object.assign({}, this.options, {
+      headers: Object.assign({}, this.options.headers)
+    })
+    return this.client.get(url, options)
+      .then((response) => {
+        let nextUrl = response.nextPageUrl()
+        this.nextUrl = nextUrl && !this.visited[nextUrl] ? nextUrl : null
+        return { value: response, done: false }
+      }, (error) => {
+        this.nextUrl = null
+        throw error
+      })
+  }
+
+  /**
+   * Stops the iteration (called by `for await` loops on `break`).
+   * @method return
+   *
+   * @return {Promise<Object>}
+   */
+  return () {
+    this.nextUrl = null
+    return Promise.resolve({ value: undefined, done: true })
+  }
+}
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+  PageIterator.prototype[Symbol.asyncIterator] = function () {
+    return this
+  }
+}
+
+module.exports = PageIterator
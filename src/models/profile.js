@@ -0,0 +1,166 @@
+'use strict'
+/**
+ * @module profile
+ */
+const vocab = require('solid-namespace')
+
+/**
+ * Represents a WebID profile: the merged graph of the WebID document and of
+ * the extended profile documents it links to (`owl:sameAs`, `rdfs:seeAlso`
+ * and `pim:preferencesFile`), along with the commonly used values extracted
+ * from it. Loaded with `webClient.getProfile()`:
+ *
+ *   ```
+ *   webClient.getProfile('https://alice.example.com/profile/card#me')
+ *     .then(function (profile) {
+ *       console.log(profile.name, profile.storage, profile.inbox)
+ *     })
+ *   ```
+ * @class SolidProfile
+ */
+class SolidProfile {
+  /**
+   * @constructor
+   * @param rdf {RDF} RDF Library (such as rdflib.js) to inject
+   * @param webId {string} WebID of the profile's owner
+   * @param [graph] {Graph} Parsed (and merged) graph of the profile
+   */
+  constructor (rdf, webId, graph) {
+    /**
+     * RDF Library (such as rdflib.js)
+     * @property rdf
+     * @type RDF
+     */
+    this.rdf = rdf
+    /**
+     * WebID of the profile's owner
+     * @property webId
+     * @type string
+     */
+    this.webId = webId
+    /**
+     * Merged graph of all the loaded profile documents
+     * @property graph
+     * @type Graph
+     */
+    this.graph = graph || rdf.graph()
+    /**
+     * URLs of the profile documents merged into the graph (the WebID
+     * document first)
+     * @property documents
+     * @type Array<string>
+     */
+    this.documents = []
+    /**
+     * Name of the owner (`foaf:name`, or `vcard:fn`), or null
+     * @property name
+     * @type string
+     */
+    this.name = null
+    /**
+     * URLs of the owner's storages (pods), from `pim:storage`
+     * @property storage
+     * @type Array<string>
+     */
+    this.storage = []
+    /**
+     * URL of the owner's inbox (`ldp:inbox`), or null
+     * @property inbox
+     * @type string
+     */
+    this.inbox = null
+    /**
+     * URLs of the OpenID Connect issuers trusted by the owner
+     * (`solid:oidcIssuer`)
+     * @property oidcIssuers
+     * @type Array<string>
+     */
+    this.oidcIssuers = []
+    /**
+     * URL of the public type index (`solid:publicTypeIndex`), or null
+     * @property publicTypeIndex
+     * @type string
+     */
+    this.publicTypeIndex = null
+    /**
+     * URL of the private type index (`solid:privateTypeIndex`, usually in
+     * the preferences file), or null
+     * @property privateTypeIndex
+     * @type string
+     */
+    this.privateTypeIndex = null
+    /**
+     * URL of the preferences file (`pim:preferencesFile`), or null
+     * @property preferencesFile
+     * @type string
+     */
+    this.preferencesFile = null
+    /**
+     * Other IRIs of the owner (`owl:sameAs`, in either direction)
+     * @property sameAs
+     * @type Array<string>
+     */
+    this.sameAs = []
+
+    this.initFromGraph(this.graph)
+  }
+
+  /**
+   * Extracts the profile values of a graph (statements about the WebID, or
+   * about any of the IRIs it is `owl:sameAs`).
+   * @method initFromGraph
+   * @param graph {Graph}
+   */
+  initFromGraph (graph) {
+    let ns = vocab(this.rdf)
+    let webIdNode = this.rdf.namedNode(this.webId)
+    let unique = (list) => list.filter((item, index) => {
+      return list.indexOf(item) === index
+    })
+    let iris = (nodes) => nodes.map((node) => node.uri || node.value)
+
+    this.sameAs = unique(iris(graph.each(webIdNode, ns.owl('sameAs'))
+      .concat(graph.each(null, ns.owl('sameAs'), webIdNode))))
+      .filter((iri) => iri !== this.webId)
+
+    let identities = [ this.webId ].concat(this.sameAs)
+    let values = (predicate) => {
+      return unique(identities.reduce((result, identity) => {
+        let subject = this.rdf.namedNode(identity)
+        return result.concat(iris(graph.each(subject, predicate)))
+      }, []))
+    }
+    let value = (predicate) => values(predicate)[0] || null
+
+    this.name = value(ns.foaf('name')) || value(ns.vcard('fn'))
+    this.storage = values(ns.pim('storage'))
+    this.inbox = value(ns.ldp('inbox'))
+    this.oidcIssuers = values(ns.solid('oidcIssuer'))
+    this.publicTypeIndex = value(ns.solid('publicTypeIndex'))
+    this.privateTypeIndex = value(ns.solid('privateTypeIndex'))
+    this.preferencesFile = value(ns.pim('preferencesFile'))
+  }
+
+  /**
+   * Returns the URLs of the extended profile documents linked from the
+   * profile (`owl:sameAs`, `rdfs:seeAlso` and `pim:preferencesFile`),
+   * without fragments.
+   * @method linkedDocuments
+   * @return {Array<string>}
+   */
+  linkedDocuments () {
+    let ns = vocab(this.rdf)
+    let identities = [ this.webId ].concat(this.sameAs)
+    let seeAlso = identities.reduce((result, identity) => {
+      return result.concat(this.graph.each(this.rdf.namedNode(identity),
+        ns.rdfs('seeAlso')).map((node) => node.uri))
+    }, [])
+
+    let links = this.sameAs.concat(seeAlso, this.preferencesFile || [])
+      .filter((url) => url && url.indexOf('http') === 0)
+      .map((url) => url.split('#')[0])
+    return links.filter((url, index) => links.indexOf(url) === index)
+  }
+}
+
+module.exports = SolidProfile
@@ -3,8 +3,6 @@
  * @module resource
  */
 
-const graphUtil = require('../util/graph-util')
-
 /**
  * Represents a Solid / LDP Resource (currently used when listing
  * SolidContainer resources)
@@ -96,8 +94,8 @@ class SolidResource {
       throw new Error('Cannot parse container without a Content-Type: header')
     }
 
-    let parsedGraph = graphUtil.parseGraph(this.rdf, this.uri, response.raw(),
-      contentType)
+    // Shared with the response (parsed only once, possibly asynchronously)
+    let parsedGraph = response.parsedGraph()
     this.parsedGraph = parsedGraph
 
     this.types = Object.keys(parsedGraph.findTypeURIs(this.rdf.namedNode(this.uri)))
@@ -3,31 +3,38 @@
  * @module response
  */
 
+const body = require('../util/body')
+const formats = require('../formats')
 const graphUtil = require('../util/graph-util')  // Used by .parsedGraph()
 const SolidContainer = require('./container')
 const SolidResource = require('./resource')
 const webUtil = require('../util/web-util')
+const resolveUrl = require('url').resolve
 
 /**
- * Provides a wrapper around an XHR response object, and adds several
- * Solid-specific parsed fields (link headers, allowed verbs, etc)
+ * Provides a wrapper around an XHR response object (or an XHR-compatible
+ * response from another transport, such as a `FetchResponse`), and adds
+ * several Solid-specific parsed fields (link headers, allowed verbs, etc)
  * @class SolidResponse
  */
 class SolidResponse {
   /**
    * @constructor
    * @param rdf {RDF} RDF Library such as rdflib.js
-   * @param xhrResponse {XMLHttpRequest} Result of XHR operation
+   * @param xhrResponse {XMLHttpRequest|FetchResponse} Result of XHR operation
    * @param method {string} HTTP verb for the original request. Passed in
    *   separately because it's not actually stored in the XHR object.
    */
   constructor (rdf, xhrResponse, method) {
     if (!xhrResponse) {
       this.xhr = null
+      this.etag = null
+      this.lastModified = null
       this.user = ''
       this.method = null
       this.types = []
       this.graph = null
+      this.preferenceApplied = null
       return
     }
     /**
@@ -90,6 +97,31 @@ class SolidResponse {
      * @type Object
      */
     this.allowedMethods = this.parseAllowedMethods(xhrResponse, method)
+    /**
+     * Patch formats (media types) accepted by the server for this resource,
+     * from the `Accept-Patch:` header. Example:
+     *   `[ 'application/sparql-update', 'text/n3' ]`
+     * @property acceptPatch
+     * @type Array<string>
+     */
+    this.acceptPatch = webUtil.parseAcceptPatch(
+      xhrResponse.getResponseHeader('Accept-Patch'))
+    /**
+     * Preferences applied by the server (`Preference-Applied:` header), in
+     * response to a `Prefer:` request header (see the `include` and `omit`
+     * options of `get()`), or null if none. Example:
+     *   ```
+     *   {
+     *     'return': 'representation',
+     *     include: [ 'http://www.w3.org/ns/ldp#PreferMinimalContainer' ],
+     *     omit: []
+     *   }
+     *   ```
+     * @property preferenceApplied
+     * @type Object
+     */
+    this.preferenceApplied = webUtil.parsePreferHeader(
+      xhrResponse.getResponseHeader('Preference-Applied'))
 
     /**
      * Cache of the parsed graph of xhr.response,
@@ -108,6 +140,22 @@ class SolidResponse {
     if (this.meta) {
       this.meta = this.meta[0]  // Extract the single .meta link
     }
+    /**
+     * Entity tag of the resource (`ETag:` header), or null if none was sent.
+     * Pass it to the `ifMatch` write option to avoid overwriting someone
+     * else's changes.
+     * @property etag
+     * @type string
+     */
+    this.etag = xhrResponse.getResponseHeader('ETag') || null
+    /**
+     * Date of the last modification of the resource (`Last-Modified:`
+     * header), or null if none was sent
+     * @property lastModified
+     * @type Date
+     */
+    let lastModified = xhrResponse.getResponseHeader('Last-Modified')
+    this.lastModified = lastModified ? new Date(lastModified) : null
     /**
      * LDP Types for the resource.
      * Example: [
@@ -140,20 +188,22 @@ class SolidResponse {
      */
     this.websocket = xhrResponse.getResponseHeader('Updates-Via') || ''
     /**
-     * Raw XHR response object
+     * Raw XHR response object (or `FetchResponse`, when using the fetch
+     * transport)
      * @property xhr
-     * @type XMLHttpRequest
+     * @type XMLHttpRequest|FetchResponse
      */
     this.xhr = xhrResponse
 
     /**
      * The resource which was returned by the XHR, if any.
+     * (Only initialized for containers and RDF resources, read as text.
+     * For formats parsed asynchronously, such as JSON-LD, see `load()`.)
      */
     this.resource = null
-    if (this.method === 'get') {
-      this.resource = this.isContainer()
-        ? new SolidContainer(this.rdf, this.url, this)
-        : new SolidResource(this.rdf, this.url, this)
+    let format = formats.getFormat(this.contentType())
+    if (!format || !format.async) {
+      this.initResource()
     }
   }
 
@@ -171,6 +221,32 @@ class SolidResponse {
     return this.resolveMetaOrAclUrl('acl')
   }
 
+  /**
+   * Returns the response body as an `ArrayBuffer`. For binary resources
+   * (images, PDFs, etc), request the body with the `responseType:
+   * 'arraybuffer'` (or `'blob'`) option, since a body read as text is
+   * already decoded (and corrupted).
+   * @method arrayBuffer
+   *
+   * @return {Promise<ArrayBuffer>}
+   */
+  arrayBuffer () {
+    return body.toArrayBuffer(this.raw())
+  }
+
+  /**
+   * Returns the response body as a `Blob` (typed with the response's
+   * content type). See `arrayBuffer()` about binary resources.
+   * @method blob
+   *
+   * @throws {TypeError} Rejects if `Blob` is not available (Node < 18)
+   *
+   * @return {Promise<Blob>}
+   */
+  blob () {
+    return body.toBlob(this.raw(), this.contentType())
+  }
+
   /**
    * Returns the Content-Type of the response (or null if no response
    * is present)
@@ -179,8 +255,9 @@ class SolidResponse {
    * @return {string|null}
    */
   contentType () {
-    if (this.xhr) {
-      return this.xhr.getResponseHeader('Content-Type').split(';')[0] // remove parameter
+    let contentType = this.xhr && this.xhr.getResponseHeader('Content-Type')
+    if (contentType) {
+      return contentType.split(';')[0] // remove parameter
     } else {
       return null
     }
@@ -216,6 +293,58 @@ class SolidResponse {
     return this.user // && this.user.slice(0, 4) === 'http'
   }
 
+  /**
+   * Initializes the `resource` of a GET response, for containers and RDF
+   * resources read as text.
+   * @method initResource
+   */
+  initResource () {
+    if (this.method === 'get' && (this.isContainer() || this.isRdf()) &&
+        typeof this.raw() === 'string') {
+      this.resource = this.isContainer()
+        ? new SolidContainer(this.rdf, this.url, this)
+        : new SolidResource(this.rdf, this.url, this)
+    }
+  }
+
+  /**
+   * Returns true if the response body is in one of the RDF formats that can
+   * be parsed into a graph (see the `formats` module)
+   * @method isRdf
+   *
+   * @return {Boolean}
+   */
+  isRdf () {
+    return formats.isSupported(this.contentType())
+  }
+
+  /**
+   * Finishes loading a response whose format can only be parsed
+   * asynchronously (such as JSON-LD): parses its graph, and initializes
+   * its `resource`. (The web client does this before resolving requests.)
+   * Only the bodies of GET responses are parsed, as with `initResource()`.
+   * @method load
+   *
+   * @throws {UnsupportedFormatError|Error} Rejects if the body cannot be parsed
+   *
+   * @return {Promise<SolidResponse>} This response
+   */
+  load () {
+    let format = formats.getFormat(this.contentType())
+    if (this.method !== 'get' || this.graph || this.resource || !format ||
+        !format.async || typeof this.raw() !== 'string') {
+      return Promise.resolve(this)
+    }
+
+    return graphUtil.parseGraphAsync(this.rdf, this.url, this.raw(),
+      this.contentType())
+      .then((graph) => {
+        this.graph = graph
+        this.initResource()
+        return this
+      })
+  }
+
   /**
    * Returns true if this a given type matches this resource's types
    * @method isType
@@ -228,6 +357,19 @@ class SolidResponse {
     return this.types.indexOf(rdfClass) !== -1
   }
 
+  /**
+   * Returns the response body parsed as JSON (for example, JSON-LD).
+   * @method json
+   *
+   * @throws {SyntaxError} Rejects if the body is not valid JSON
+   *
+   * @return {Promise<Object>}
+   */
+  json () {
+    return this.text()
+      .then((text) => JSON.parse(text))
+  }
+
   /**
    * Returns the absolute URL of the .meta resource for this response.
    * @method metaAbsoluteUrl
@@ -241,6 +383,23 @@ class SolidResponse {
     return this.resolveMetaOrAclUrl('meta')
   }
 
+  /**
+   * Returns the absolute URL of the next page of a paged resource (from its
+   * `Link: <...>; rel="next"` header, see
+   * [LDP Paging](https://www.w3.org/TR/ldp-paging/)), or null if this is the
+   * last (or only) page.
+   * @method nextPageUrl
+   *
+   * @return {string|null}
+   */
+  nextPageUrl () {
+    let next = this.linkHeaders && this.linkHeaders['next']
+    if (!next || !next.length) {
+      return null
+    }
+    return this.url ? resolveUrl(this.url, next[0]) : next[0]
+  }
+
   /**
    * In case that this was preflight-type request (OPTIONS or POST, for example),
    * parses and returns the allowed methods for the resource (for the current
@@ -266,9 +425,12 @@ class SolidResponse {
 
   /**
    * Returns the parsed graph of the response (lazy-initializes it if it's not
-   * present)
+   * present). Formats parsed asynchronously (such as JSON-LD) need a prior
+   * `load()`, which the web client does for its responses.
    * @method parsedGraph
    *
+   * @throws {UnsupportedFormatError} If the content type cannot be parsed
+   *
    * @return {Graph}
    */
   parsedGraph () {
@@ -281,7 +443,9 @@ class SolidResponse {
   }
 
   /**
-   * Returns the raw XHR response (or null if absent)
+   * Returns the raw XHR response (or null if absent): a string, or an
+   * `ArrayBuffer` / `Blob` depending on the `responseType` request option.
+   * See also `text()`, `arrayBuffer()`, `blob()` and `json()`.
    * @method raw
    *
    * @return {Object|null}
@@ -313,6 +477,17 @@ class SolidResponse {
     return webUtil.absoluteUrl(parentUrl, metaOrAclUrl)
   }
 
+  /**
+   * Returns the response body as a string (binary bodies are decoded as
+   * UTF-8).
+   * @method text
+   *
+   * @return {Promise<string>}
+   */
+  text () {
+    return body.toText(this.raw())
+  }
+
   /**
    * Returns a unique (de-duplicated) list of `rel="type"` Link headers.
    *
@@ -0,0 +1,228 @@
+'use strict'
+/**
+ * @module type-index
+ */
+const vocab = require('solid-namespace')
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'
+const SOLID = 'http://www.w3.org/ns/solid/terms#'
+
+/**
+ * Represents a type index document (a user's `solid:publicTypeIndex` or
+ * `solid:privateTypeIndex`), which tells apps where the user keeps each kind
+ * of data, as a list of plain registration objects. Example registration:
+ *
+ *   ```
+ *   {
+ *     id: 'https://alice.example.com/settings/publicTypeIndex.ttl#bookmarks',
+ *     forClass: 'http://www.w3.org/2002/01/bookmark#Bookmark',
+ *     instances: [],  // solid:instance, individual documents
+ *     instanceContainers: [ 'https://alice.example.com/bookmarks/' ]
+ *   }
+ *   ```
+ *
+ * Use `webClient.getTypeIndexes()` to load the indexes of a user, and
+ * `webClient.registerType()` to add registrations.
+ * @class SolidTypeIndex
+ */
+class SolidTypeIndex {
+  /**
+   * @constructor
+   * @param rdf {RDF} RDF Library (such as rdflib.js) to inject
+   * @param url {string} URL of the type index document
+   * @param [graph] {Graph} Parsed graph of the document (none if the
+   *   document does not exist yet)
+   */
+  constructor (rdf, url, graph) {
+    /**
+     * RDF Library (such as rdflib.js)
+     * @property rdf
+     * @type RDF
+     */
+    this.rdf = rdf
+    /**
+     * URL of the type index document
+     * @property url
+     * @type string
+     */
+    this.url = url
+    /**
+     * List of registration objects (see class docs)
+     * @property registrations
+     * @type Array<Object>
+     */
+    this.registrations = []
+    /**
+     * Does the document exist on the server (false if it still needs to be
+     * created)
+     * @property exists
+     * @type Boolean
+     */
+    this.exists = !!graph
+    /**
+     * Is this the public (`solid:ListedDocument`) or the private
+     * (`solid:UnlistedDocument`) type index, or null if unknown
+     * @property isPublic
+     * @type Boolean
+     */
+    this.isPublic = null
+    /**
+     * ETag of the document when it was loaded, or null
+     * @property etag
+     * @type string
+     */
+    this.etag = null
+
+    if (graph) {
+      this.initFromGraph(graph)
+    }
+  }
+
+  /**
+   * Parses the `solid:TypeRegistration` entries of a graph.
+   * @method initFromGraph
+   * @param graph {Graph}
+   */
+  initFromGraph (graph) {
+    let ns = vocab(this.rdf)
+    let values = (subject, predicate) => {
+      return graph.each(subject, predicate).map((node) => node.uri || node.value)
+    }
+
+    let documentTypes = values(this.rdf.namedNode(this.url), ns.rdf('type'))
+    if (documentTypes.indexOf(SOLID + 'ListedDocument') !== -1) {
+      this.isPublic = true
+    } else if (documentTypes.indexOf(SOLID + 'UnlistedDocument') !== -1) {
+      this.isPublic = false
+    }
+
+    this.registrations = graph.each(null, ns.rdf('type'), ns.solid('TypeRegistration'))
+      .map((subject) => {
+        return {
+          id: subject.uri || null,
+          forClass: values(subject, ns.solid('forClass'))[0] || null,
+          instances: values(subject, ns.solid('instance')),
+          instanceContainers: values(subject, ns.solid('instanceContainer'))
+        }
+      })
+  }
+
+  /**
+   * Returns the locations registered for a class, keeping the individual
+   * documents (`solid:instance`) apart from the containers of documents
+   * (`solid:instanceContainer`).
+   * @method findByClass
+   * @param forClass {string} IRI of the class
+   * @return {Object} Hashmap of lists of URLs, `{ instances,
+   *   instanceContainers }`
+   */
+  findByClass (forClass) {
+    let result = { instances: [], instanceContainers: [] }
+    let addAll = (list, urls) => {
+      urls.forEach((url) => {
+        if (list.indexOf(url) === -1) {
+          list.push(url)
+        }
+      })
+    }
+
+    this.registrations
+      .filter((registration) => registration.forClass === forClass)
+      .forEach((registration) => {
+        addAll(result.instances, registration.instances)
+        addAll(result.instanceContainers, registration.instanceContainers)
+      })
+
+    return result
+  }
+
+  /**
+   * Adds a new registration for a class, with a unique id.
+   * @method newRegistration
+   * @param forClass {string} IRI of the class
+   * @param location {string} URL of the document or container
+   * @param isContainer {Boolean} Is the location a container of instances
+   *   (`solid:instanceContainer`), or a single document (`solid:instance`)
+   * @return {Object} The new registration
+   */
+  newRegistration (forClass, location, isContainer) {
+    let ids = this.registrations.map((registration) => registration.id)
+    let count = this.registrations.length
+    let id
+    do {
+      count++
+      id = this.url + '#registration' + count
+    } while (ids.indexOf(id) !== -1)
+
+    let registration = {
+      id: id,
+      forClass: forClass,
+      instances: isContainer ? [] : [ location ],
+      instanceContainers: isContainer ? [ location ] : []
+    }
+    this.registrations.push(registration)
+    return registration
+  }
+
+  /**
+   * Returns the triple patterns of a registration (to insert it with a
+   * patch, see `webClient.patch()`).
+   * @method registrationPatterns
+   * @param registration {Object}
+   * @return {Array<Array<string>>}
+   */
+  registrationPatterns (registration) {
+    let iri = (uri) => '<' + uri + '>'
+    let subject = iri(registration.id)
+    let patterns = [
+      [ subject, iri(RDF_TYPE), iri(SOLID + 'TypeRegistration') ],
+      [ subject, iri(SOLID + 'forClass'), iri(registration.forClass) ]
+    ]
+    registration.instances.forEach((url) => {
+      patterns.push([ subject, iri(SOLID + 'instance'), iri(url) ])
+    })
+    registration.instanceContainers.forEach((url) => {
+      patterns.push([ subject, iri(SOLID + 'instanceContainer'), iri(url) ])
+    })
+    return patterns
+  }
+
+  /**
+   * Serializes the type index into a Turtle document.
+   * @method serialize
+   * @return {string}
+   */
+  serialize () {
+    let iri = (uri) => '<' + uri + '>'
+    let documentTypes = [ 'solid:TypeIndex' ]
+    if (this.isPublic === true) {
+      documentTypes.push('solid:ListedDocument')
+    } else if (this.isPublic === false) {
+      documentTypes.push('solid:UnlistedDocument')
+    }
+    let source = '@prefix solid: <' + SOLID + '>.\n\n' +
+      '<> a ' + documentTypes.join(', ') + '.\n'
+
+    this.registrations.forEach((registration) => {
+      let id = registration.id && registration.id.indexOf(this.url + '#') === 0
+        ? registration.id.slice(this.url.length)
+        : registration.id
+      let lines = [ 'a solid:TypeRegistration' ]
+      let addLine = (predicate, objects) => {
+        if (objects.length > 0) {
+          lines.push(predicate + ' ' + objects.join(', '))
+        }
+      }
+      addLine('solid:forClass', [ iri(registration.forClass) ])
+      addLine('solid:instance', registration.instances.map(iri))
+      addLine('solid:instanceContainer',
+        registration.instanceContainers.map(iri))
+
+      source += '\n' + iri(id) + '\n    ' + lines.join(';\n    ') + '.\n'
+    })
+
+    return source
+  }
+}
+
+module.exports = SolidTypeIndex
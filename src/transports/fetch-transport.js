@@ -0,0 +1,181 @@
+'use strict'
+/* global fetch, AbortController */
+/**
+ * @module fetch-transport
+ */
+var AbortError = require('../errors').AbortError
+var HttpError = require('standard-http-error')
+var bodyUtil = require('../util/body')
+
+/**
+ * Wraps a WHATWG `fetch()` Response (and its already read body) in an
+ * XMLHttpRequest-compatible interface, so that it can be used by
+ * `SolidResponse` and by the error handling code just like an XHR object.
+ * @class FetchResponse
+ */
+class FetchResponse {
+  /**
+   * @constructor
+   * @param response {Response} Result of a `fetch()` call
+   * @param body {string|ArrayBuffer|Blob} Contents of the response body
+   */
+  constructor (response, body) {
+    /**
+     * Original fetch Response
+     * @property fetchResponse
+     * @type Response
+     */
+    this.fetchResponse = response
+    this.response = body
+    this.responseText = typeof body === 'string' ? body : null
+    this.responseURL = response.url
+    this.status = response.status
+    this.statusText = response.statusText
+  }
+
+  /**
+   * @method getResponseHeader
+   * @param name {string} Header name (case insensitive)
+   * @return {string|null}
+   */
+  getResponseHeader (name) {
+    return this.fetchResponse.headers.get(name)
+  }
+}
+
+/**
+ * Web client transport that sends requests with the WHATWG `fetch()` API
+ * (for service workers, and runtimes without XMLHttpRequest such as Node
+ * with native fetch). Usage:
+ *
+ *   ```
+ *   var solid = require('solid-web-client')
+ *   var webClient = solid(rdf, { transport: new solid.FetchTransport() })
+ *   ```
+ * @class FetchTransport
+ */
+class FetchTransport {
+  /**
+   * @constructor
+   * @param [fetchFunction] {Function} `fetch()` implementation to use
+   *   (defaults to the global one)
+   */
+  constructor (fetchFunction) {
+    this.fetch = fetchFunction || fetch
+  }
+
+  /**
+   * Reads the body of a fetch Response as text, `ArrayBuffer` or `Blob`
+   * (depending on the request's `responseType`). Download progress is
+   * reported only when the body can be streamed (`response.body`).
+   * @method readBody
+   * @param response {Response}
+   * @param request {Object} Request hashmap (see `send()`)
+   * @return {Promise<string|ArrayBuffer|Blob>}
+   */
+  readBody (response, request) {
+    let responseType = request.responseType
+    let canStream = response.body && typeof response.body.getReader === 'function'
+
+    if (request.onDownloadProgress && canStream) {
+      let total = parseInt(response.headers.get('Content-Length'), 10)
+      let loaded = 0
+      return bodyUtil.readStream(response.body, (chunk) => {
+        loaded += chunk.byteLength
+        request.onDownloadProgress({
+          loaded: loaded,
+          total: isNaN(total) ? null : total,
+          lengthComputable: !isNaN(total)
+        })
+      })
+        .then((bytes) => {
+          if (responseType === 'blob') {
+            return bodyUtil.toBlob(bytes, response.headers.get('Content-Type'))
+              .catch(() => bodyUtil.toArrayBuffer(bytes))
+          }
+          return responseType === 'arraybuffer'
+            ? bodyUtil.toArrayBuffer(bytes)
+            : bodyUtil.toText(bytes)
+        })
+    }
+
+    if (responseType === 'blob' && typeof response.blob === 'function') {
+      return response.blob()
+    } else if (responseType === 'arraybuffer' || responseType === 'blob') {
+      return response.arrayBuffer()
+    }
+    return response.text()
+  }
+
+  /**
+   * Sends a request (see `XhrTransport.send()` for the request hashmap).
+   * Upload progress (`onUploadProgress`) is not supported by `fetch()`.
+   * @method send
+   * @param request {Object}
+   * @throws {HttpError} Rejects with a status `0` error on network failure
+   * @throws {AbortError} Rejects with this error if the request is aborted
+   * @return {Promise<FetchResponse>}
+   */
+  send (request) {
+    let signal = request.signal
+    if (signal && signal.aborted) {
+      return Promise.reject(new AbortError('Request aborted'))
+    }
+
+    let init = {
+      method: request.method,
+      headers: request.headers || {},
+      credentials: request.withCredentials ? 'include' : 'same-origin'
+    }
+    if (request.data) {
+      init.body = request.data
+    }
+
+    let timer
+    let isTimedOut = false
+    let onAbort
+    if ((request.timeout || signal) && typeof AbortController !== 'undefined') {
+      let controller = new AbortController()
+      init.signal = controller.signal
+      if (request.timeout) {
+        timer = setTimeout(() => {
+          isTimedOut = true
+          controller.abort()
+        }, request.timeout)
+      }
+      if (signal) {
+        onAbort = () => controller.abort()
+        signal.addEventListener('abort', onAbort)
+      }
+    }
+    let cleanUp = () => {
+      clearTimeout(timer)
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort)
+      }
+    }
+
+    // Not called as a method of the transport: browsers throw an "Illegal
+    // invocation" TypeError if the native fetch() gets any other `this`
+    let fetchFunction = this.fetch
+    return fetchFunction(request.url, init)
+      .then((response) => {
+        return this.readBody(response, request)
+          .then((body) => new FetchResponse(response, body))
+      })
+      .then((response) => {
+        cleanUp()
+        return response
+      }, (error) => {
+        cleanUp()
+        if (error.name === 'AbortError' && !isTimedOut) {
+          throw new AbortError('Request aborted')
+        }
+        let message = isTimedOut ? 'Request timed out' : error.message
+        throw new HttpError(0, message, { cause: error })
+      })
+  }
+}
+
+module.exports = FetchTransport
+module.exports.FetchResponse = FetchResponse
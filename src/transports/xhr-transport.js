@@ -0,0 +1,155 @@
+'use strict'
+/**
+ * @module xhr-transport
+ */
+var AbortError = require('../errors').AbortError
+var HttpError = require('standard-http-error')
+var XMLHttpRequest = require('../util/xhr')
+var body = require('../util/body')
+
+/**
+ * Is this running in a browser (as opposed to Node, where XHR is provided
+ * by `xhr2`, which supports neither `Blob` bodies nor responses)
+ */
+var IS_BROWSER = typeof window !== 'undefined'
+
+/**
+ * Default web client transport, which sends requests with XMLHttpRequest
+ * (the browser's native one, the Firefox extension one, or `xhr2` in Node).
+ *
+ * A transport is any object with a `send(request)` method (see below), and
+ * can be set with the `transport` config option of the web client.
+ * @class XhrTransport
+ */
+class XhrTransport {
+  /**
+   * @constructor
+   * @param [XHR] {Function} XMLHttpRequest class to use (defaults to the one
+   *   available in the current environment)
+   */
+  constructor (XHR) {
+    this.XMLHttpRequest = XHR || XMLHttpRequest
+  }
+
+  /**
+   * Sends a request. Resolves with the XHR object once a response (of any
+   * status) has been received, and rejects on network errors and timeouts.
+   * @method send
+   * @param request {Object} Request hashmap
+   * @param request.method {string} HTTP verb
+   * @param request.url {string}
+   * @param [request.headers={}] {Object} HTTP headers to send along
+   * @param [request.data] {Object} Optional data / payload
+   * @param [request.timeout] {Number} Request timeout in milliseconds
+   * @param [request.withCredentials=false] {Boolean}
+   * @param [request.responseType] {string} Type of the response body,
+   *   `'text'` (default), `'arraybuffer'` or `'blob'`
+   * @param [request.onUploadProgress] {Function} Called with progress
+   *   events `{ loaded, total, lengthComputable }` while sending the body
+   * @param [request.onDownloadProgress] {Function} Called with progress
+   *   events while receiving the response
+   * @param [request.signal] {AbortSignal} Aborts the request when signalled
+   * @throws {HttpError} Rejects with a status `0` error on network failure
+   * @throws {AbortError} Rejects with this error if the request is aborted
+   * @return {Promise<XMLHttpRequest>}
+   */
+  send (request) {
+    let data = request.data
+    if (!IS_BROWSER && body.isBlob(data)) {
+      return body.toArrayBuffer(data)
+        .then((buffer) => {
+          return this.send(Object.assign({}, request, { data: buffer }))
+        })
+    }
+
+    let signal = request.signal
+    if (signal && signal.aborted) {
+      return Promise.reject(new AbortError('Request aborted'))
+    }
+
+    return new Promise((resolve, reject) => {
+      let http = new this.XMLHttpRequest()
+      let onAbort = () => {
+        http.abort()
+      }
+      let settle = (callback, value) => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort)
+        }
+        callback(value)
+      }
+
+      http.open(request.method, request.url)
+      if (request.withCredentials) {
+        http.withCredentials = true
+      }
+
+      let headers = request.headers || {}
+      for (var header in headers) {  // Add in optional headers
+        http.setRequestHeader(header, headers[header])
+      }
+
+      if (request.timeout) {
+        http.timeout = request.timeout
+      }
+
+      if (request.responseType && request.responseType !== 'text') {
+        // xhr2 cannot create Blobs (see `SolidResponse.blob()`)
+        http.responseType = request.responseType === 'blob' && !IS_BROWSER
+          ? 'arraybuffer'
+          : request.responseType
+      }
+
+      if (request.onUploadProgress && http.upload) {
+        http.upload.onprogress = progressHandler(request.onUploadProgress)
+      }
+      if (request.onDownloadProgress) {
+        http.onprogress = progressHandler(request.onDownloadProgress)
+      }
+
+      http.onload = function () {
+        settle(resolve, this)
+      }
+
+      http.onerror = function () {
+        settle(reject, new HttpError(this.status, this.statusText, { xhr: this }))
+      }
+
+      http.ontimeout = function () {
+        settle(reject, new HttpError(0, 'Request timed out', { xhr: this }))
+      }
+
+      http.onabort = function () {
+        settle(reject, new AbortError('Request aborted'))
+      }
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort)
+      }
+
+      if (typeof data === 'undefined' || !data) {
+        http.send()
+      } else {
+        http.send(data)
+      }
+    })
+  }
+}
+
+/**
+ * Returns an XHR progress event handler, that calls a progress callback
+ * with a plain `{ loaded, total, lengthComputable }` hashmap.
+ * @param callback {Function}
+ * @return {Function}
+ */
+function progressHandler (callback) {
+  return (event) => {
+    callback({
+      loaded: event.loaded,
+      total: event.lengthComputable ? event.total : null,
+      lengthComputable: event.lengthComputable
+    })
+  }
+}
+
+module.exports = XhrTransport
@@ -0,0 +1,183 @@
+'use strict'
+/**
+ * Provides live change notifications over the websocket advertised by Solid
+ * servers in the `Updates-Via:` header (see `SolidWebClient.subscribe()`)
+ * @module updates-socket
+ */
+var EventEmitter = require('events').EventEmitter
+var retry = require('./util/retry')
+
+/**
+ * `readyState` of an open WebSocket
+ */
+var OPEN = 1
+
+/**
+ * Manages a single websocket connection to a server's `Updates-Via`
+ * endpoint, shared by all the subscriptions to resources on that server.
+ * Sends a `sub <url>` command for each subscribed resource, and calls the
+ * subscribers when a `pub <url>` message arrives. If the connection drops,
+ * reconnects with exponential backoff, and subscribes again.
+ *
+ * Events: `open`, `close`, `pub` (with the URL of the changed resource),
+ * `ack` (with the URL of a confirmed subscription), and `error`.
+ * @class UpdatesSocket
+ * @extends EventEmitter
+ */
+class UpdatesSocket extends EventEmitter {
+  /**
+   * @constructor
+   * @param url {string} Websocket URL (from the `Updates-Via:` header)
+   * @param WebSocket {Function} WebSocket class (browser-compatible API)
+   * @param [options={}] {Object} Options hashmap
+   * @param [options.initialDelay=1000] {Number} Delay before the first
+   *   reconnection attempt, in milliseconds
+   * @param [options.maxDelay=60000] {Number} Maximum delay between
+   *   reconnection attempts, in milliseconds
+   */
+  constructor (url, WebSocket, options = {}) {
+    super()
+    this.url = url
+    this.WebSocket = WebSocket
+    this.reconnectPolicy = {
+      initialDelay: options.initialDelay || 1000,
+      maxDelay: options.maxDelay || 60000
+    }
+    /**
+     * Hashmap of subscriber callbacks, keyed by resource URL
+     * @property subscriptions
+     * @type Object
+     */
+    this.subscriptions = {}
+    /**
+     * Current websocket connection (null when disconnected)
+     * @property socket
+     * @type WebSocket
+     */
+    this.socket = null
+    this.reconnectAttempts = 0
+    this.reconnectTimer = null
+  }
+
+  /**
+   * Closes the connection (without reconnecting).
+   * @method close
+   */
+  close () {
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = null
+    if (this.socket) {
+      this.socket.onclose = null
+      this.socket.close()
+      this.socket = null
+    }
+  }
+
+  /**
+   * Opens the websocket connection.
+   * @method connect
+   */
+  connect () {
+    let socket = new this.WebSocket(this.url)
+    this.socket = socket
+
+    socket.onopen = () => {
+      this.reconnectAttempts = 0
+      Object.keys(this.subscriptions).forEach((url) => {
+        socket.send('sub ' + url)
+      })
+      this.emit('open')
+    }
+    socket.onmessage = (event) => {
+      this.handleMessage(event.data)
+    }
+    socket.onerror = (error) => {
+      // Only emit errors if someone listens (otherwise EventEmitter throws)
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error)
+      }
+    }
+    socket.onclose = () => {
+      this.socket = null
+      this.emit('close')
+      if (Object.keys(this.subscriptions).length > 0) {
+        this.scheduleReconnect()
+      }
+    }
+  }
+
+  /**
+   * Handles a message from the server (`pub <url>` or `ack <url>`).
+   * @method handleMessage
+   * @param data {string}
+   */
+  handleMessage (data) {
+    let parts = String(data).trim().split(/\s+/)
+    let type = parts[0]
+    let url = parts[1]
+
+    if (type === 'pub') {
+      this.emit('pub', url)
+      let callbacks = this.subscriptions[url] || []
+      callbacks.slice().forEach((callback) => callback(url))
+    } else if (type === 'ack') {
+      this.emit('ack', url)
+    }
+  }
+
+  /**
+   * Schedules a reconnection attempt, with exponential backoff.
+   * @method scheduleReconnect
+   */
+  scheduleReconnect () {
+    this.reconnectAttempts++
+    let delay = retry.retryDelay(this.reconnectAttempts, this.reconnectPolicy)
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this.connect()
+    }, delay)
+  }
+
+  /**
+   * Subscribes to the changes of a resource, connecting if needed.
+   * @method subscribe
+   * @param url {string} URL of the resource or container
+   * @param callback {Function} Called with the resource URL on each change
+   * @return {Function} Unsubscribe handle (call it to stop the notifications)
+   */
+  subscribe (url, callback) {
+    let isNewUrl = !this.subscriptions[url]
+    this.subscriptions[url] = (this.subscriptions[url] || []).concat(callback)
+
+    if (!this.socket && !this.reconnectTimer) {
+      this.connect()  // Subscribes to all the urls once open
+    } else if (isNewUrl && this.socket && this.socket.readyState === OPEN) {
+      this.socket.send('sub ' + url)
+    }
+
+    return () => this.unsubscribe(url, callback)
+  }
+
+  /**
+   * Removes a subscriber callback. Closes the connection once there are no
+   * subscriptions left.
+   * @method unsubscribe
+   * @param url {string}
+   * @param callback {Function}
+   */
+  unsubscribe (url, callback) {
+    let callbacks = (this.subscriptions[url] || [])
+      .filter((item) => item !== callback)
+    if (callbacks.length > 0) {
+      this.subscriptions[url] = callbacks
+    } else {
+      delete this.subscriptions[url]
+    }
+
+    if (Object.keys(this.subscriptions).length === 0) {
+      this.close()
+    }
+  }
+}
+
+module.exports = UpdatesSocket
@@ -0,0 +1,175 @@
+'use strict'
+/* global Blob, TextDecoder, TextEncoder */
+/**
+ * Provides helper functions for request and response bodies of any type
+ * (strings, `ArrayBuffer`s, `Blob`s, Node `Buffer`s and streams)
+ * @module body
+ */
+module.exports.isBlob = isBlob
+module.exports.isStream = isStream
+module.exports.readStream = readStream
+module.exports.toArrayBuffer = toArrayBuffer
+module.exports.toBlob = toBlob
+module.exports.toText = toText
+
+/**
+ * Returns true if the data is a `Blob` (or a `File`)
+ * @method isBlob
+ *
+ * @param data {Object}
+ *
+ * @return {Boolean}
+ */
+function isBlob (data) {
+  return typeof Blob !== 'undefined' && data instanceof Blob
+}
+
+/**
+ * Returns true if the data is a Node.js readable stream, or a WHATWG
+ * `ReadableStream`
+ * @method isStream
+ *
+ * @param data {Object}
+ *
+ * @return {Boolean}
+ */
+function isStream (data) {
+  if (!data || typeof data !== 'object') {
+    return false
+  }
+  return (typeof data.pipe === 'function' && typeof data.on === 'function') ||
+    typeof data.getReader === 'function'
+}
+
+/**
+ * Reads a whole stream into memory (so that it can be sent with any
+ * transport, and sent again when retrying a request).
+ * @method readStream
+ *
+ * @param stream {Readable|ReadableStream} Node.js or WHATWG stream
+ * @param [onData] {Function} Called with each chunk, as it is read
+ *
+ * @return {Promise<Buffer|Uint8Array>} `Buffer` when available
+ */
+function readStream (stream, onData) {
+  onData = onData || function () {}
+
+  let concat = (chunks) => {
+    if (typeof Buffer !== 'undefined') {
+      return Buffer.concat(chunks.map((chunk) => Buffer.from(chunk)))
+    }
+    let length = chunks.reduce((total, chunk) => total + chunk.byteLength, 0)
+    let result = new Uint8Array(length)
+    let offset = 0
+    chunks.forEach((chunk) => {
+      result.set(chunk, offset)
+      offset += chunk.byteLength
+    })
+    return result
+  }
+
+  if (typeof stream.getReader === 'function') {
+    let reader = stream.getReader()
+    let chunks = []
+    let read = () => {
+      return reader.read()
+        .then((result) => {
+          if (result.done) {
+            return concat(chunks)
+          }
+          chunks.push(result.value)
+          onData(result.value)
+          return read()
+        })
+    }
+    return read()
+  }
+
+  return new Promise((resolve, reject) => {
+    let chunks = []
+    stream.on('data', (chunk) => {
+      chunks.push(chunk)
+      onData(chunk)
+    })
+    stream.on('error', reject)
+    stream.on('end', () => { resolve(concat(chunks)) })
+  })
+}
+
+/**
+ * Converts a body to an `ArrayBuffer` (strings are UTF-8 encoded).
+ * @method toArrayBuffer
+ *
+ * @param body {string|ArrayBuffer|ArrayBufferView|Blob}
+ *
+ * @return {Promise<ArrayBuffer>}
+ */
+function toArrayBuffer (body) {
+  if (body instanceof ArrayBuffer) {
+    return Promise.resolve(body)
+  }
+  if (isBlob(body)) {
+    return body.arrayBuffer()
+  }
+  if (body === null || typeof body === 'undefined') {
+    body = ''
+  }
+  if (typeof body === 'string') {
+    body = typeof Buffer !== 'undefined'
+      ? Buffer.from(body, 'utf8')
+      : new TextEncoder().encode(body)
+  }
+  if (ArrayBuffer.isView(body)) {
+    return Promise.resolve(body.buffer.slice(body.byteOffset,
+      body.byteOffset + body.byteLength))
+  }
+  return Promise.reject(new TypeError('Cannot convert body to ArrayBuffer'))
+}
+
+/**
+ * Converts a body to a `Blob`.
+ * @method toBlob
+ *
+ * @param body {string|ArrayBuffer|ArrayBufferView|Blob}
+ * @param [contentType] {string} Type of the blob
+ *
+ * @throws {TypeError} Rejects if `Blob` is not available in this environment
+ *
+ * @return {Promise<Blob>}
+ */
+function toBlob (body, contentType) {
+  if (isBlob(body)) {
+    return Promise.resolve(body)
+  }
+  if (typeof Blob === 'undefined') {
+    return Promise.reject(new TypeError('Blob is not supported in this environment'))
+  }
+  return toArrayBuffer(body)
+    .then((buffer) => new Blob([ buffer ], { type: contentType || '' }))
+}
+
+/**
+ * Converts a body to a string (binary bodies are decoded as UTF-8).
+ * @method toText
+ *
+ * @param body {string|ArrayBuffer|ArrayBufferView|Blob}
+ *
+ * @return {Promise<string>}
+ */
+function toText (body) {
+  if (typeof body === 'string') {
+    return Promise.resolve(body)
+  }
+  if (body === null || typeof body === 'undefined') {
+    return Promise.resolve('')
+  }
+  if (isBlob(body)) {
+    return body.text()
+  }
+  return toArrayBuffer(body)
+    .then((buffer) => {
+      return typeof Buffer !== 'undefined'
+        ? Buffer.from(buffer).toString('utf8')
+        : new TextDecoder('utf-8').decode(buffer)
+    })
+}
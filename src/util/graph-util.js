@@ -4,9 +4,18 @@
  * Currently depends on RDFLib
  * @module graph-util
  */
+var formats = require('../formats')
+var resolveUrl = require('url').resolve
+
 module.exports.appendGraph = appendGraph
+module.exports.diffGraphs = diffGraphs
+module.exports.isGraphData = isGraphData
 module.exports.parseGraph = parseGraph
+module.exports.parseGraphAsync = parseGraphAsync
 module.exports.parseLinks = parseLinks
+module.exports.replaceIris = replaceIris
+module.exports.resolveRelativeIris = resolveRelativeIris
+module.exports.serializeGraph = serializeGraph
 module.exports.serializeStatements = serializeStatements
 module.exports.graphFromStatements = graphFromStatements
 
@@ -27,6 +36,56 @@ function appendGraph (toGraph, fromGraph, docURI) {
     })
 }
 
+/**
+ * Compares two versions of a graph, and returns the statements added and
+ * removed between them (ignoring the statements' `why`).
+ *
+ * Statements with blank nodes cannot be reliably targeted by a patch, so
+ * they are compared as a whole: if any of them changed (or was relabeled),
+ * `hasBlankNodeChanges` is set, and the whole graph should be written
+ * instead of patched.
+ * @method diffGraphs
+ *
+ * @param originalGraph {Graph}
+ * @param modifiedGraph {Graph}
+ *
+ * @return {Object} Diff hashmap, `{ added, removed, hasBlankNodeChanges }`
+ *   (`added` and `removed` are lists of statements without blank nodes)
+ */
+function diffGraphs (originalGraph, modifiedGraph) {
+  let isBlankNode = (term) => {
+    return term.termType === 'bnode' || term.termType === 'BlankNode'
+  }
+  let hasBlankNode = (st) => {
+    return isBlankNode(st.subject) || isBlankNode(st.object)
+  }
+  let index = (graph) => {
+    let statements = {}
+    graph.statementsMatching(ALL_STATEMENTS).forEach((st) => {
+      let key = st.subject.toNT() + ' ' + st.predicate.toNT() + ' ' +
+        st.object.toNT() + ' .'
+      statements[key] = st
+    })
+    return statements
+  }
+  let original = index(originalGraph)
+  let modified = index(modifiedGraph)
+  let missingFrom = (statements) => {
+    return (key) => !statements[key]
+  }
+
+  let removed = Object.keys(original).filter(missingFrom(modified))
+    .map((key) => original[key])
+  let added = Object.keys(modified).filter(missingFrom(original))
+    .map((key) => modified[key])
+
+  return {
+    added: added.filter((st) => !hasBlankNode(st)),
+    removed: removed.filter((st) => !hasBlankNode(st)),
+    hasBlankNodeChanges: added.concat(removed).some(hasBlankNode)
+  }
+}
+
 /**
  * Converts a list of RDF statements into a Graph, and returns
  * it.
@@ -46,7 +105,27 @@ function graphFromStatements (rdf, statements) {
 }
 
 /**
- * Parses a given graph, from text rdfSource, as a given content type.
+ * Returns true if some data (such as the payload of a PUT) is a graph or a
+ * list of RDF statements, rather than already serialized source. An empty
+ * list is graph data too (an empty graph).
+ * @method isGraphData
+ *
+ * @param data {Object}
+ *
+ * @return {Boolean}
+ */
+function isGraphData (data) {
+  if (Array.isArray(data)) {
+    return data.every((st) => {
+      return !!st && typeof st === 'object' && !!st.subject && !!st.predicate
+    })
+  }
+  return !!data && typeof data.statementsMatching === 'function'
+}
+
+/**
+ * Parses a given graph, from text rdfSource, as a given content type (with
+ * the parser registered for it, see the `formats` module).
  * Returns parsed graph.
  *
  * @method parseGraph
@@ -55,16 +134,48 @@ function graphFromStatements (rdf, statements) {
  * @param rdfSource {string} Text source code
  * @param contentType {string} Mime Type (determines which parser to use)
  *
+ * @throws {UnsupportedFormatError} If the content type cannot be parsed
+ * @throws {Error} If the format can only be parsed asynchronously (such as
+ *   JSON-LD, see `parseGraphAsync()`)
+ *
  * @return {Graph}
  */
 function parseGraph (rdf, baseUrl, rdfSource, contentType) {
   let parsedGraph = rdf.graph()
 
-  rdf.parse(rdfSource, parsedGraph, baseUrl, contentType)
+  let format = formats.getFormat(contentType)
+  if (format && format.async) {
+    throw new Error('Cannot parse ' + contentType + ' synchronously, ' +
+      'use parseGraphAsync()')
+  }
+  formats.parse(rdf, rdfSource, parsedGraph, baseUrl, contentType)
 
   return parsedGraph
 }
 
+/**
+ * Parses a given graph, like `parseGraph()`, but supports the formats that
+ * can only be parsed asynchronously too (such as JSON-LD).
+ *
+ * @method parseGraphAsync
+ * @param rdf {RDF} RDF library such as rdflib.js
+ * @param baseUrl {string}
+ * @param rdfSource {string} Text source code
+ * @param contentType {string} Mime Type (determines which parser to use)
+ *
+ * @throws {UnsupportedFormatError} Rejects if the content type cannot be
+ *   parsed
+ *
+ * @return {Promise<Graph>}
+ */
+function parseGraphAsync (rdf, baseUrl, rdfSource, contentType) {
+  let parsedGraph = rdf.graph()
+
+  return Promise.resolve()
+    .then(() => formats.parse(rdf, rdfSource, parsedGraph, baseUrl, contentType))
+    .then(() => parsedGraph)
+}
+
 /**
  * Extracts the URIs from a parsed graph that match parameters.
  * The URIs are a set (duplicates are removed)
@@ -88,6 +199,99 @@ function parseLinks (graph, subject, predicate, object, source) {
   return Object.keys(links)
 }
 
+/**
+ * Returns a copy of a list of statements, where the IRIs of some resources
+ * are replaced with others (for example, after a resource was copied to a
+ * new location). An IRI is replaced if it is one of the given IRIs, or a
+ * fragment of it (`<doc.ttl#owner>`), or if it is inside one of the given
+ * containers (IRIs ending with a `/`).
+ * @method replaceIris
+ *
+ * @param rdf {RDF} RDF library such as rdflib.js
+ * @param statements {Array<Statement>}
+ * @param replacements {Array<Array<string>>} List of `[ fromIri, toIri ]`
+ *   pairs, the first matching pair is used
+ *
+ * @return {Array<Statement>}
+ */
+function replaceIris (rdf, statements, replacements) {
+  let replace = (term) => {
+    if (term.termType !== 'symbol' && term.termType !== 'NamedNode') {
+      return term
+    }
+    let iri = term.value
+    let match = replacements.find((pair) => {
+      let from = pair[0]
+      return iri.indexOf(from) === 0 && (iri.length === from.length ||
+        from.endsWith('/') || iri[from.length] === '#')
+    })
+    return match ? rdf.sym(match[1] + iri.slice(match[0].length)) : term
+  }
+
+  return statements.map((st) => {
+    return rdf.st(replace(st.subject), replace(st.predicate),
+      replace(st.object), st.why)
+  })
+}
+
+/**
+ * Returns a copy of a list of statements, where the relative IRIs (such as
+ * `<#me>`) are resolved against a base URL.
+ * @method resolveRelativeIris
+ *
+ * @param rdf {RDF} RDF library such as rdflib.js
+ * @param statements {Array<Statement>}
+ * @param baseUrl {string}
+ *
+ * @return {Array<Statement>}
+ */
+function resolveRelativeIris (rdf, statements, baseUrl) {
+  let isRelative = (term) => {
+    return (term.termType === 'symbol' || term.termType === 'NamedNode') &&
+      !/^[a-z][a-z0-9+.-]*:/i.test(term.value)
+  }
+  let resolve = (term) => {
+    return isRelative(term) ? rdf.sym(resolveUrl(baseUrl, term.value)) : term
+  }
+
+  return statements.map((st) => {
+    if (!isRelative(st.subject) && !isRelative(st.predicate) &&
+        !isRelative(st.object)) {
+      return st
+    }
+    return rdf.st(resolve(st.subject), resolve(st.predicate),
+      resolve(st.object), st.why)
+  })
+}
+
+/**
+ * Serializes a graph (or a list of statements) to a given content type,
+ * with the serializer registered for it (see the `formats` module).
+ * Relative IRIs are first resolved against the URL of the document.
+ * @method serializeGraph
+ *
+ * @param rdf {RDF} RDF library such as rdflib.js
+ * @param data {Graph|Array<Statement>}
+ * @param contentType {string} Turtle, N-Triples, JSON-LD, etc
+ * @param documentUrl {string} URL of the document that is written
+ * @param [options={}] {Object} Options hashmap
+ * @param [options.absolute=false] {Boolean} Write absolute IRIs only (when
+ *   the final URL of the document is not known, such as with POST)
+ *
+ * @throws {UnsupportedFormatError} If the content type cannot be serialized
+ *
+ * @return {string}
+ */
+function serializeGraph (rdf, data, contentType, documentUrl, options = {}) {
+  let statements = Array.isArray(data)
+    ? data
+    : data.statementsMatching(ALL_STATEMENTS)
+  statements = resolveRelativeIris(rdf, statements, documentUrl)
+
+  return formats.serialize(rdf, statements,
+    options.absolute ? undefined : documentUrl, contentType)
+}
+
 /**
  * Serializes an array of RDF statements into a simple N-Triples format
  * suitable for writing to a solid server.
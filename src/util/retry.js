@@ -0,0 +1,132 @@
+'use strict'
+/**
+ * Provides helper functions for retrying failed requests (see the `retry`
+ * config and request option of the web client)
+ * @module retry
+ */
+module.exports.isRetryable = isRetryable
+module.exports.parseRetryAfter = parseRetryAfter
+module.exports.retryDelay = retryDelay
+module.exports.wait = wait
+
+var AbortError = require('../errors').AbortError
+
+/**
+ * HTTP verbs that can safely be repeated
+ */
+var IDEMPOTENT_METHODS = ['DELETE', 'GET', 'HEAD', 'OPTIONS', 'PUT']
+
+/**
+ * Determines whether a failed request may be retried, according to a retry
+ * policy. Network errors (status 0), `429 Too Many Requests` and `5xx`
+ * errors are retried, for idempotent methods only (unless the policy's
+ * `retryNonIdempotent` flag is set).
+ * @method isRetryable
+ *
+ * @param error {HttpError} Error of the failed attempt
+ * @param method {string} HTTP verb of the request
+ * @param policy {Object} Retry policy (see `config.retry`)
+ *
+ * @return {Boolean}
+ */
+function isRetryable (error, method, policy) {
+  let status = error.status
+  let isTransient = status === 0 || status === 429 || status >= 500
+
+  if (!isTransient) {
+    return false
+  }
+
+  return policy.retryNonIdempotent || IDEMPOTENT_METHODS.indexOf(method) !== -1
+}
+
+/**
+ * Parses the value of a `Retry-After` header, which is either a number of
+ * seconds or an HTTP date.
+ * @method parseRetryAfter
+ *
+ * @param retryAfterHeader {string}
+ *
+ * @return {Number|null} Delay in milliseconds, or null if the header is
+ *   absent or invalid
+ */
+function parseRetryAfter (retryAfterHeader) {
+  if (!retryAfterHeader) {
+    return null
+  }
+
+  if (/^\s*\d+\s*$/.test(retryAfterHeader)) {
+    return parseInt(retryAfterHeader, 10) * 1000
+  }
+
+  let date = Date.parse(retryAfterHeader)
+  if (isNaN(date)) {
+    return null
+  }
+  return Math.max(0, date - Date.now())
+}
+
+/**
+ * Returns the delay before the next attempt: the server's `Retry-After`
+ * if it sent one, otherwise an exponential backoff (with random jitter, so
+ * that many clients do not retry in lockstep). Either way, the delay is
+ * capped at the policy's `maxDelay` (a longer `Retry-After` is shortened,
+ * rather than giving up).
+ * @method retryDelay
+ *
+ * @param attempt {Number} Number of the attempt that just failed (from 1)
+ * @param policy {Object} Retry policy (see `config.retry`)
+ * @param [error] {HttpError} Error of the failed attempt
+ *
+ * @return {Number} Delay in milliseconds
+ */
+function retryDelay (attempt, policy, error) {
+  let retryAfter = parseRetryAfter(error && error.xhr &&
+    error.xhr.getResponseHeader('Retry-After'))
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, policy.maxDelay)
+  }
+
+  let backoff = Math.min(policy.maxDelay,
+    policy.initialDelay * Math.pow(2, attempt - 1))
+
+  // "Equal jitter": half of the backoff, plus a random part of the other half
+  return Math.round(backoff / 2 + Math.random() * backoff / 2)
+}
+
+/**
+ * Waits before the next attempt. Stops waiting as soon as the request is
+ * aborted.
+ * @method wait
+ *
+ * @param delay {Number} Delay in milliseconds
+ * @param [signal] {AbortSignal} Signal of the request (see the `signal`
+ *   request option)
+ *
+ * @throws {AbortError} Rejects with this error if the request is aborted
+ *   (before or during the wait)
+ *
+ * @return {Promise}
+ */
+function wait (delay, signal) {
+  if (signal && signal.aborted) {
+    return Promise.reject(new AbortError('Request aborted'))
+  }
+
+  return new Promise((resolve, reject) => {
+    let onAbort = () => {
+      clearTimeout(timer)
+      reject(new AbortError('Request aborted'))
+    }
+    let timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+      resolve()
+    }, delay)
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort)
+    }
+  })
+}
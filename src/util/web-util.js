@@ -3,13 +3,52 @@
  * Provides misc utility functions for the web client
  * @module web-util
  */
+var InvalidPatchError = require('../errors').InvalidPatchError
+var resolveUrl = require('url').resolve
+
 module.exports.absoluteUrl = absoluteUrl
+module.exports.composeN3Patch = composeN3Patch
 module.exports.composePatchQuery = composePatchQuery
+module.exports.composePreferHeader = composePreferHeader
 module.exports.hostname = hostname
+module.exports.parentUrl = parentUrl
+module.exports.parseAcceptPatch = parseAcceptPatch
 module.exports.parseAllowedMethods = parseAllowedMethods
+module.exports.parseCacheControl = parseCacheControl
 module.exports.parseLinkHeader = parseLinkHeader
+module.exports.parsePreferHeader = parsePreferHeader
+module.exports.patternToString = patternToString
+module.exports.resolvePatternIris = resolvePatternIris
+module.exports.resourceName = resourceName
 module.exports.statementToNT = statementToNT
 
+/**
+ * Regular expressions for the kinds of terms allowed in triple patterns
+ * (in N-Triples / SPARQL syntax, relative IRIs allowed)
+ */
+var TERM_SYNTAX = {
+  blankNode: /^_:[A-Za-z0-9_][A-Za-z0-9_.-]*$/,
+  iri: /^<[^<>"{}|^`\\\s]*>$/,
+  literal: /^"([^"\\\n\r]|\\.)*"(@[a-zA-Z]+(-[a-zA-Z0-9]+)*|\^\^<[^<>"{}|^`\\\s]*>)?$/,
+  // Only `?name`: SPARQL also allows `$name`, but N3 Patch does not
+  variable: /^\?[A-Za-z_][A-Za-z0-9_]*$/
+}
+
+/**
+ * Kinds of terms allowed in each position of a triple pattern
+ */
+var ALLOWED_TERMS = [
+  [ 'iri', 'blankNode', 'variable' ],  // subject
+  [ 'iri', 'variable' ],  // predicate
+  [ 'iri', 'blankNode', 'literal', 'variable' ]  // object
+]
+
+/**
+ * Namespace of the LDP preferences (`PreferMinimalContainer`, etc), used to
+ * expand their short names in `Prefer:` headers
+ */
+var LDP_NS = 'http://www.w3.org/ns/ldp#'
+
 /**
  * Return an absolute URL
  * @method absoluteUrl
@@ -36,28 +75,128 @@ function absoluteUrl (baseUrl, pathUrl) {
 }
 
 /**
- * Composes and returns a PATCH SPARQL query (for use with `web.patch()`)
+ * Composes and returns an N3 Patch document (for use with `web.patch()`,
+ * with the `text/n3` content type)
+ * @method composeN3Patch
+ *
+ * @param toDel {Array<string|Statement|Array>} List of triples (or triple
+ *   patterns) to delete
+ * @param toIns {Array<string|Statement|Array>} List of triples (or triple
+ *   patterns) to insert
+ * @param [where] {Array<string|Statement|Array>} Optional list of triple
+ *   patterns binding the variables used in `toDel` and `toIns`
+ *
+ * @throws {InvalidPatchError} If a triple pattern is malformed, or if there
+ *   is a where clause but nothing to delete or insert
+ *
+ * @return {string} N3 Patch for use with PATCH
+ */
+function composeN3Patch (toDel, toIns, where) {
+  let patch = preparePatch(toDel, toIns, where)
+  let source = '@prefix solid: <http://www.w3.org/ns/solid/terms#>.\n' +
+    '_:patch a solid:InsertDeletePatch'
+
+  if (patch.where.length > 0) {
+    source += ';\n  solid:where { ' + patch.where.join(' ') + ' }'
+  }
+
+  if (patch.deletes.length > 0) {
+    source += ';\n  solid:deletes { ' + patch.deletes.join(' ') + ' }'
+  }
+
+  if (patch.inserts.length > 0) {
+    source += ';\n  solid:inserts { ' + patch.inserts.join(' ') + ' }'
+  }
+
+  return source + '.\n'
+}
+
+/**
+ * Composes a `Prefer: return=representation` header (see
+ * [LDP](https://www.w3.org/TR/ldp/#prefer-parameters)), asking the server
+ * to include or omit parts of a container representation. Preferences may be
+ * given as IRIs, or as the short names of the LDP ones. Example:
+ * `composePreferHeader(['PreferMinimalContainer'])` returns
+ *   `'return=representation; include="http://www.w3.org/ns/ldp#PreferMinimalContainer"'`
+ * @method composePreferHeader
+ *
+ * @param [include] {string|Array<string>} Preferences to include, such as
+ *   `'PreferMinimalContainer'`, `'PreferContainment'`, `'PreferMembership'`
+ * @param [omit] {string|Array<string>} Preferences to omit
+ *
+ * @return {string|null} Header value, or null if there are no preferences
+ */
+function composePreferHeader (include, omit) {
+  let toIris = (preferences) => {
+    return [].concat(preferences || []).map((preference) => {
+      return preference.indexOf(':') === -1 ? LDP_NS + preference : preference
+    })
+  }
+  include = toIris(include)
+  omit = toIris(omit)
+  if (!include.length && !omit.length) {
+    return null
+  }
+
+  let header = 'return=representation'
+  if (include.length) {
+    header += '; include="' + include.join(' ') + '"'
+  }
+  if (omit.length) {
+    header += '; omit="' + omit.join(' ') + '"'
+  }
+  return header
+}
+
+/**
+ * Composes and returns a PATCH SPARQL query (for use with `web.patch()`).
+ * Without a `where` clause, this is a `DELETE DATA` / `INSERT DATA` query.
+ * With one, it is a `DELETE { } INSERT { } WHERE { }` query, which may use
+ * variables. For example, to replace whatever the current name is:
+ *
+ *   ```
+ *   composePatchQuery(
+ *     [ [ '<#me>', '<http://xmlns.com/foaf/0.1/name>', '?name' ] ],
+ *     [ [ '<#me>', '<http://xmlns.com/foaf/0.1/name>', '"Alice"' ] ],
+ *     [ [ '<#me>', '<http://xmlns.com/foaf/0.1/name>', '?name' ] ]
+ *   )
+ *   ```
+ *
+ * (Note that if the `where` patterns match nothing, nothing is inserted.)
  * @method composePatchQuery
  *
- * @param toDel {Array<string|Statement>} List of triples to delete
- * @param toIns {Array<string|Statement>} List of triples to insert
+ * @param toDel {Array<string|Statement|Array>} List of triples (or triple
+ *   patterns) to delete
+ * @param toIns {Array<string|Statement|Array>} List of triples (or triple
+ *   patterns) to insert
+ * @param [where] {Array<string|Statement|Array>} Optional list of triple
+ *   patterns binding the variables used in `toDel` and `toIns`
+ *
+ * @throws {InvalidPatchError} If a triple pattern is malformed, or if there
+ *   is a where clause but nothing to delete or insert
  *
  * @return {string} SPARQL query for use with PATCH
  */
-function composePatchQuery (toDel, toIns) {
+function composePatchQuery (toDel, toIns, where) {
+  let patch = preparePatch(toDel, toIns, where)
   let query = ''
-  if (toDel && toDel.length > 0) {
-    toDel = toDel.map(function (st) {
-      return statementToNT(st)
-    })
-    query += 'DELETE DATA { ' + toDel.join(' ') + ' };\n'
+
+  if (patch.where.length > 0) {
+    if (patch.deletes.length > 0) {
+      query += 'DELETE { ' + patch.deletes.join(' ') + ' }\n'
+    }
+    if (patch.inserts.length > 0) {
+      query += 'INSERT { ' + patch.inserts.join(' ') + ' }\n'
+    }
+    return query + 'WHERE { ' + patch.where.join(' ') + ' }\n'
   }
 
-  if (toIns && toIns.length > 0) {
-    toIns = toIns.map(function (st) {
-      return statementToNT(st)
-    })
-    query += 'INSERT DATA { ' + toIns.join(' ') + ' };\n'
+  if (patch.deletes.length > 0) {
+    query += 'DELETE DATA { ' + patch.deletes.join(' ') + ' };\n'
+  }
+
+  if (patch.inserts.length > 0) {
+    query += 'INSERT DATA { ' + patch.inserts.join(' ') + ' };\n'
   }
 
   return query
@@ -88,6 +227,41 @@ function hostname (url) {
   return result
 }
 
+/**
+ * Returns the URL of the parent container of a given resource or container.
+ * Example: the parent of both `https://example.com/a/b` and
+ * `https://example.com/a/b/` is `https://example.com/a/`
+ * @method parentUrl
+ *
+ * @param url {string} Absolute URL of a resource or container
+ *
+ * @return {string}
+ */
+function parentUrl (url) {
+  let path = url.replace(/\/$/, '')  // remove trailing slash, for containers
+  return path.slice(0, path.lastIndexOf('/') + 1)
+}
+
+/**
+ * Parses an `Accept-Patch` header into a list of patch media types
+ * (without parameters). Example: `'application/sparql-update, text/n3'`
+ * is parsed into `[ 'application/sparql-update', 'text/n3' ]`
+ * @method parseAcceptPatch
+ *
+ * @param acceptPatchHeader {string} `Accept-Patch` response header
+ *
+ * @return {Array<string>}
+ */
+function parseAcceptPatch (acceptPatchHeader) {
+  if (!acceptPatchHeader) {
+    return []
+  }
+
+  return acceptPatchHeader.split(',')
+    .map((mediaType) => mediaType.split(';')[0].trim().toLowerCase())
+    .filter((mediaType) => mediaType.length > 0)
+}
+
 /**
  * Extracts the allowed HTTP methods from the 'Allow' and 'Accept-Patch'
  * headers, and returns a hashmap of verbs allowed by the server
@@ -118,14 +292,49 @@ function parseAllowedMethods (allowMethodsHeader, acceptPatchHeader) {
     })
   }
 
-  if (acceptPatchHeader &&
-      acceptPatchHeader.indexOf('application/sparql-update') >= 0) {
+  let patchFormats = parseAcceptPatch(acceptPatchHeader)
+  if (patchFormats.indexOf('application/sparql-update') >= 0 ||
+      patchFormats.indexOf('text/n3') >= 0) {
     allowedMethods.patch = true
   }
 
   return allowedMethods
 }
 
+/**
+ * Parses a `Cache-Control` header into a hashmap of directives.
+ * Example: `'private, max-age=60'` is parsed into
+ *   ```
+ *   {
+ *     'private': true,
+ *     'max-age': '60'
+ *   }
+ *   ```
+ * @method parseCacheControl
+ *
+ * @param cacheControlHeader {string} Contents of the Cache-Control header
+ *
+ * @return {Object} Hashmap of directives (keys in lowercase)
+ */
+function parseCacheControl (cacheControlHeader) {
+  let directives = {}
+  if (!cacheControlHeader) {
+    return directives
+  }
+
+  cacheControlHeader.split(',').forEach((directive) => {
+    let parts = directive.split('=')
+    let name = parts[0].trim().toLowerCase()
+    if (name) {
+      directives[name] = parts.length > 1
+        ? parts[1].trim().replace(/"/g, '')
+        : true
+    }
+  })
+
+  return directives
+}
+
 /**
 * Parses a Link header from an XHR HTTP Request.
 * @method parseLinkHeader
@@ -171,6 +380,218 @@ function parseLinkHeader (link) {
   return rels
 }
 
+/**
+ * Parses a `Prefer:` (or `Preference-Applied:`) header. Example:
+ * `'return=representation; omit="http://www.w3.org/ns/ldp#PreferContainment"'`
+ * is parsed into
+ *   ```
+ *   {
+ *     'return': 'representation',
+ *     include: [],
+ *     omit: [ 'http://www.w3.org/ns/ldp#PreferContainment' ]
+ *   }
+ *   ```
+ * @method parsePreferHeader
+ *
+ * @param preferHeader {string} Contents of the header
+ *
+ * @return {Object|null} Hashmap of the preferences (with the `include` and
+ *   `omit` IRIs as arrays), or null if there is no header
+ */
+function parsePreferHeader (preferHeader) {
+  if (!preferHeader) {
+    return null
+  }
+  let preferences = { include: [], omit: [] }
+
+  preferHeader.split(/[;,]/).forEach((parameter) => {
+    let index = parameter.indexOf('=')
+    let name = (index === -1 ? parameter : parameter.slice(0, index))
+      .trim().toLowerCase()
+    let value = index === -1
+      ? true
+      : parameter.slice(index + 1).trim().replace(/"/g, '')
+    if (name === 'include' || name === 'omit') {
+      let iris = value === true ? [] : value.split(/\s+/).filter((iri) => iri)
+      preferences[name] = preferences[name].concat(iris)
+    } else if (name) {
+      preferences[name] = value
+    }
+  })
+
+  return preferences
+}
+
+/**
+ * Returns the short name (last path segment, without the trailing slash) of
+ * a resource or container URL.
+ * Example: the name of `https://example.com/a/b/` is `b`
+ * @method resourceName
+ *
+ * @param url {string}
+ *
+ * @return {string}
+ */
+function resourceName (url) {
+  let path = url.replace(/\/$/, '')
+  return path.slice(path.lastIndexOf('/') + 1)
+}
+
+/**
+ * Converts a triple pattern to string (in N-Triples / SPARQL syntax),
+ * validating it. A pattern is either an array of 3 terms, or a hashmap
+ * with `subject`, `predicate` and `object` keys. Each term is either an
+ * RDF term object (such as an rdflib `NamedNode`, `Literal` or `Variable`),
+ * or a string such as `'<https://example.com/#me>'`, `'<#me>'`, `'_:b1'`,
+ * `'"Alice"@en'` or `'?name'`.
+ * @method patternToString
+ *
+ * @param pattern {Array|Object}
+ *
+ * @throws {InvalidPatchError} If the pattern is malformed
+ *
+ * @return {string}
+ */
+function patternToString (pattern) {
+  return patternTerms(pattern).join(' ') + ' .'
+}
+
+/**
+ * Converts the terms of a triple pattern to strings, validating them (see
+ * `patternToString()`).
+ * @method patternTerms
+ *
+ * @param pattern {Array|Object}
+ *
+ * @throws {InvalidPatchError} If the pattern is malformed
+ *
+ * @return {Array<string>} Subject, predicate and object
+ */
+function patternTerms (pattern) {
+  let terms = Array.isArray(pattern)
+    ? pattern
+    : [ pattern.subject, pattern.predicate, pattern.object ]
+
+  if (terms.length !== 3 || terms.some((term) => !term)) {
+    throw new InvalidPatchError(
+      'A triple pattern needs a subject, a predicate and an object',
+      { pattern: pattern })
+  }
+
+  return terms.map((term, index) => {
+    let source = typeof term === 'string' ? term.trim() : term.toNT()
+    let isAllowed = ALLOWED_TERMS[index].some((kind) => {
+      return TERM_SYNTAX[kind].test(source)
+    })
+    if (!isAllowed) {
+      let position = [ 'subject', 'predicate', 'object' ][index]
+      throw new InvalidPatchError('Invalid ' + position + ' in triple pattern: ' +
+        source, { pattern: pattern })
+    }
+    return source
+  })
+}
+
+/**
+ * Resolves the relative IRIs (such as `<>` or `<#license>`) of a triple
+ * pattern against a base URL. Only patterns given as `[s, p, o]` arrays or
+ * `{ subject, predicate, object }` hashmaps of strings are rewritten;
+ * statements and whole-statement strings are returned as is.
+ * @method resolvePatternIris
+ *
+ * @param pattern {string|Array|Object|Statement}
+ * @param baseUrl {string}
+ *
+ * @return {string|Array|Object|Statement}
+ */
+function resolvePatternIris (pattern, baseUrl) {
+  if (!pattern || typeof pattern === 'string' ||
+      typeof pattern.toCanonical === 'function') {
+    return pattern
+  }
+  let resolve = (term) => {
+    let match = typeof term === 'string' && /^\s*<([^<>]*)>\s*$/.exec(term)
+    return match ? '<' + resolveUrl(baseUrl, match[1]) + '>' : term
+  }
+  if (Array.isArray(pattern)) {
+    return pattern.map(resolve)
+  }
+  return {
+    subject: resolve(pattern.subject),
+    predicate: resolve(pattern.predicate),
+    object: resolve(pattern.object)
+  }
+}
+
+/**
+ * Converts the triples and triple patterns of a patch to strings, and
+ * validates them (see `composePatchQuery()`).
+ *
+ * @param toDel {Array} List of triples (or triple patterns) to delete
+ * @param toIns {Array} List of triples (or triple patterns) to insert
+ * @param [where] {Array} List of triple patterns
+ *
+ * @throws {InvalidPatchError}
+ *
+ * @return {Object} Hashmap of `deletes`, `inserts` and `where` string lists
+ */
+function preparePatch (toDel, toIns, where) {
+  let variables = (statements) => {
+    let names = []
+    statements.forEach((st) => {
+      (st.terms || []).forEach((term) => {
+        if (TERM_SYNTAX.variable.test(term)) {
+          names.push(term.slice(1))
+        }
+      })
+    })
+    return names
+  }
+  let toStrings = (statements) => {
+    // Statements given as strings are passed through as is (not validated)
+    return (statements || []).map((st) => {
+      if (typeof st === 'string') {
+        return st
+      }
+      // The terms are kept apart, so that a literal such as `"?name"` is
+      // not mistaken for a variable
+      let terms = typeof st.toCanonical === 'function'
+        ? [ st.subject, st.predicate, st.object ].map((term) => term.toNT())
+        : patternTerms(st)
+      return { pattern: statementToNT(st), terms: terms }
+    })
+  }
+
+  let patch = {
+    deletes: toStrings(toDel),
+    inserts: toStrings(toIns),
+    where: toStrings(where)
+  }
+
+  if (patch.where.length > 0 && patch.deletes.length + patch.inserts.length === 0) {
+    throw new InvalidPatchError('A where clause needs triples to delete or insert')
+  }
+
+  let whereVariables = variables(patch.where)
+  let unbound = variables(patch.deletes.concat(patch.inserts))
+    .filter((name) => whereVariables.indexOf(name) === -1)
+  if (unbound.length > 0) {
+    throw new InvalidPatchError('Variables not bound by the where clause: ?' +
+      unbound.join(', ?'))
+  }
+
+  patch.deletes.forEach((st) => {
+    if (st.terms && st.terms.some((term) => TERM_SYNTAX.blankNode.test(term))) {
+      throw new InvalidPatchError('Blank nodes cannot be deleted: ' + st.pattern)
+    }
+  })
+
+  Object.keys(patch).forEach((key) => {
+    patch[key] = patch[key].map((st) => st.pattern || st)
+  })
+  return patch
+}
+
 /**
  * Converts a statement to string (if it isn't already) and returns the statement.
  * @method statementToNT
@@ -181,10 +602,15 @@ function parseLinkHeader (link) {
  * @return {string}
  */
 function statementToNT (statement) {
-  if (typeof statement !== 'string') {
+  if (typeof statement === 'string') {
+    return statement
+  }
+
+  if (typeof statement.toCanonical === 'function') {
     // This is an RDF Statement. Convert to string
-    statement = statement.toCanonical()
+    return statement.toCanonical()
   }
 
-  return statement
+  // This is a triple pattern (which may contain variables)
+  return patternToString(statement)
 }
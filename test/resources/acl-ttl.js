@@ -0,0 +1,23 @@
+/**
+ * Sample Web Access Control document, for https://localhost:8443/photos/
+ */
+module.exports = `
+@prefix acl: <http://www.w3.org/ns/auth/acl#>.
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+
+<#owner>
+    a acl:Authorization;
+    acl:agent <https://alice.example.com/profile/card#me>;
+    acl:accessTo <./>;
+    acl:default <./>;
+    acl:mode acl:Read, acl:Write, acl:Control.
+
+<#friends>
+    a acl:Authorization;
+    acl:agent <https://bob.example.com/profile/card#me>,
+        <https://carol.example.com/profile/card#me>;
+    acl:agentGroup <https://alice.example.com/groups#friends>;
+    acl:origin <https://app.example.com>;
+    acl:accessTo <./>;
+    acl:mode acl:Read, acl:Append.
+`
@@ -0,0 +1,74 @@
+'use strict'
+/**
+ * Fixtures shared by the unit tests: fake XHR responses and transports (see
+ * the `transport` option of the web client), and iterator helpers.
+ */
+
+/**
+ * Returns a fake XMLHttpRequest, as resolved by a transport's `send()`.
+ * @param status {number}
+ * @param [headers={}] {Object} Hashmap of response headers
+ * @param [body=''] {string}
+ * @return {Object}
+ */
+function fakeXhr (status, headers = {}, body = '') {
+  return {
+    status: status,
+    statusText: '',
+    response: body,
+    responseURL: 'https://a.example/doc.ttl',
+    getResponseHeader: (name) => headers[name] || null
+  }
+}
+
+/**
+ * Sets the final URL (`responseURL`) of a fake XHR.
+ * @param url {string}
+ * @param xhr {Object} See `fakeXhr()`
+ * @return {Object} The fake XHR
+ */
+function withUrl (url, xhr) {
+  return Object.assign(xhr, { responseURL: url })
+}
+
+/**
+ * Returns a fake transport, which records the requests sent through it (in
+ * its `requests` list).
+ * @param responses {Array<Object>|Function} Fake XHRs to answer with, in
+ *   order, or a function returning the fake XHR for a request
+ * @return {Object}
+ */
+function fakeTransport (responses) {
+  return {
+    requests: [],
+    send (request) {
+      this.requests.push(request)
+      return Promise.resolve(typeof responses === 'function'
+        ? responses(request)
+        : responses.shift())
+    }
+  }
+}
+
+/**
+ * Resolves to the list of all the values of an async iterator (such as a
+ * `ContainerWalker` or a `PageIterator`).
+ * @param iterator {Object}
+ * @param [items=[]] {Array} Values collected so far
+ * @return {Promise<Array>}
+ */
+function collect (iterator, items = []) {
+  return iterator.next()
+    .then((result) => {
+      if (result.done) {
+        return items
+      }
+      items.push(result.value)
+      return collect(iterator, items)
+    })
+}
+
+module.exports.collect = collect
+module.exports.fakeTransport = fakeTransport
+module.exports.fakeXhr = fakeXhr
+module.exports.withUrl = withUrl
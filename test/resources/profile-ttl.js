@@ -0,0 +1,22 @@
+/**
+ * Sample WebID profile document, for https://alice.example.com/profile/card
+ */
+module.exports = `
+@prefix foaf: <http://xmlns.com/foaf/0.1/>.
+@prefix ldp: <http://www.w3.org/ns/ldp#>.
+@prefix owl: <http://www.w3.org/2002/07/owl#>.
+@prefix pim: <http://www.w3.org/ns/pim/space#>.
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.
+@prefix solid: <http://www.w3.org/ns/solid/terms#>.
+
+<#me>
+    a foaf:Person ;
+    foaf:name "Alice" ;
+    pim:storage </> ;
+    ldp:inbox </inbox/> ;
+    solid:oidcIssuer <https://idp.example.com> ;
+    solid:publicTypeIndex </settings/publicTypeIndex.ttl> ;
+    pim:preferencesFile </settings/prefs.ttl> ;
+    rdfs:seeAlso </profile/extended.ttl> ;
+    owl:sameAs <https://alice.example.org/card#i> .
+`
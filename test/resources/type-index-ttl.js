@@ -0,0 +1,21 @@
+/**
+ * Sample public type index, for
+ * https://alice.example.com/settings/publicTypeIndex.ttl
+ */
+module.exports = `
+@prefix solid: <http://www.w3.org/ns/solid/terms#>.
+@prefix bookm: <http://www.w3.org/2002/01/bookmark#>.
+@prefix vcard: <http://www.w3.org/2006/vcard/ns#>.
+
+<> a solid:TypeIndex, solid:ListedDocument.
+
+<#bookmarks>
+    a solid:TypeRegistration;
+    solid:forClass bookm:Bookmark;
+    solid:instanceContainer </bookmarks/>.
+
+<#contacts>
+    a solid:TypeRegistration;
+    solid:forClass vcard:AddressBook;
+    solid:instance </contacts/index.ttl>.
+`
@@ -0,0 +1,85 @@
+'use strict'
+
+var test = require('tape')
+var rdf = require('rdflib')
+var HttpError = require('standard-http-error')
+var BatchLoader = require('../../src/models/batch-loader')
+var graphUtil = require('../../src/util/graph-util')
+
+function fakeClient (failures = {}) {
+  let client = {
+    rdf: rdf,
+    active: 0,
+    maxActive: 0,
+    activeByHost: {},
+    maxByHost: {},
+    get (url) {
+      let host = url.split('/')[2]
+      client.active++
+      client.activeByHost[host] = (client.activeByHost[host] || 0) + 1
+      client.maxActive = Math.max(client.maxActive, client.active)
+      client.maxByHost[host] = Math.max(client.maxByHost[host] || 0,
+        client.activeByHost[host])
+
+      return new Promise((resolve) => setTimeout(resolve, 5))
+        .then(() => {
+          client.active--
+          client.activeByHost[host]--
+          if (failures[url]) {
+            throw new HttpError(failures[url])
+          }
+          let graph = graphUtil.parseGraph(rdf, url, '<#me> <#name> "' + url + '".',
+            'text/turtle')
+          return { url: url, parsedGraph: () => graph }
+        })
+    }
+  }
+  return client
+}
+
+test('BatchLoader limits the number of requests in flight', t => {
+  let client = fakeClient()
+  let urls = []
+  for (let i = 0; i < 6; i++) {
+    urls.push('https://a.example/' + i, 'https://b.example/' + i)
+  }
+
+  new BatchLoader(client, urls, { concurrency: 3, perHost: 1 }).load()
+    .then((report) => {
+      t.equal(report.results.length, 12)
+      t.deepEqual(report.results.map((result) => result.url), urls,
+        'Results are in the order of the locations')
+      t.equal(client.maxActive, 2, 'At most one request per host')
+      t.deepEqual(client.maxByHost, { 'a.example': 1, 'b.example': 1 })
+      t.equal(report.graph, null)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('BatchLoader keeps per-item errors, and merges graphs', t => {
+  let client = fakeClient({ 'https://a.example/missing': 404 })
+  let urls = [ 'https://a.example/1', 'https://a.example/missing', 'https://a.example/2' ]
+
+  new BatchLoader(client, urls, { merge: true }).load()
+    .then((report) => {
+      let failed = report.results[1]
+      t.equal(failed.error.status, 404)
+      t.equal(failed.url, 'https://a.example/missing')
+      t.equal(failed.graph, null)
+      t.ok(report.results[0].graph)
+      t.equal(report.graph.statementsMatching(null).length, 2,
+        'Loaded graphs are merged')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('BatchLoader with no locations', t => {
+  new BatchLoader(fakeClient(), []).load()
+    .then((report) => {
+      t.deepEqual(report.results, [])
+      t.end()
+    })
+    .catch(t.end)
+})
@@ -0,0 +1,69 @@
+'use strict'
+
+var test = require('tape')
+var Readable = require('stream').Readable
+var body = require('../../src/util/body')
+
+test('isStream() test', t => {
+  t.ok(body.isStream(new Readable()), 'Node streams')
+  t.ok(body.isStream({ getReader: () => {} }), 'WHATWG streams')
+  t.notOk(body.isStream('text'))
+  t.notOk(body.isStream(Buffer.from('text')))
+  t.end()
+})
+
+test('readStream() reads a Node stream into a Buffer', t => {
+  let stream = new Readable({ read () {} })
+  stream.push(Buffer.from([ 0xff, 0x00 ]))
+  stream.push(Buffer.from([ 0x89 ]))
+  stream.push(null)
+
+  body.readStream(stream)
+    .then((buffer) => {
+      t.deepEqual(Array.from(buffer), [ 0xff, 0x00, 0x89 ])
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('readStream() reads a WHATWG stream', t => {
+  let chunks = [ new Uint8Array([ 1, 2 ]), new Uint8Array([ 3 ]) ]
+  let stream = {
+    getReader: () => ({
+      read: () => Promise.resolve(chunks.length > 0
+        ? { done: false, value: chunks.shift() }
+        : { done: true })
+    })
+  }
+
+  body.readStream(stream)
+    .then((buffer) => {
+      t.deepEqual(Array.from(buffer), [ 1, 2, 3 ])
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('toArrayBuffer() and toText() conversions', t => {
+  let bytes = Buffer.from('héllo', 'utf8')
+
+  body.toArrayBuffer(bytes)
+    .then((buffer) => {
+      t.ok(buffer instanceof ArrayBuffer)
+      t.equal(buffer.byteLength, bytes.length, 'Only the bytes of the view')
+      return body.toText(buffer)
+    })
+    .then((text) => {
+      t.equal(text, 'héllo')
+      return body.toArrayBuffer('héllo')
+    })
+    .then((buffer) => {
+      t.equal(buffer.byteLength, 6, 'Strings are UTF-8 encoded')
+      return body.toText(null)
+    })
+    .then((text) => {
+      t.equal(text, '')
+      t.end()
+    })
+    .catch(t.end)
+})
@@ -0,0 +1,127 @@
+'use strict'
+
+var test = require('tape')
+var sinon = require('sinon')
+var HttpError = require('standard-http-error')
+var ResponseCache = require('../../src/cache')
+var solid = require('../../src/client')
+var helpers = require('../resources/helpers')
+var fakeTransport = helpers.fakeTransport
+var fakeXhr = helpers.fakeXhr
+var withUrl = helpers.withUrl
+
+function sampleResponse (headers) {
+  let getResponseHeader = (name) => headers[name] || null
+  return {
+    etag: headers['ETag'] || null,
+    lastModified: null,
+    xhr: { getResponseHeader: getResponseHeader }
+  }
+}
+
+test('ResponseCache honors Cache-Control', t => {
+  let cache = new ResponseCache()
+  let url = 'https://example.com/card'
+
+  cache.set(url, 'text/turtle', sampleResponse({ 'Cache-Control': 'max-age=60' }))
+  let entry = cache.get(url, 'text/turtle')
+  t.ok(cache.isFresh(entry), 'max-age responses should be fresh')
+  t.equal(cache.get(url, 'application/ld+json'), null,
+    'Entries are keyed by Accept header')
+
+  cache.set(url, 'text/turtle', sampleResponse({ 'Cache-Control': 'no-cache' }))
+  t.notOk(cache.isFresh(cache.get(url, 'text/turtle')),
+    'no-cache responses must be revalidated')
+
+  cache.set(url, 'text/turtle', sampleResponse({ 'Cache-Control': 'no-store' }))
+  t.equal(cache.get(url, 'text/turtle'), null, 'no-store responses are not cached')
+  t.end()
+})
+
+test('get() revalidates cached responses', t => {
+  let client = new solid.SolidWebClient(null, { cache: true })
+  let url = 'https://example.com/card'
+  let response = sampleResponse({ 'ETag': '"v1"' })
+  let notModified = new HttpError(304, { xhr: sampleResponse({}).xhr })
+
+  client.solidRequest = sinon.stub()
+  client.solidRequest.onFirstCall().returns(Promise.resolve(response))
+  client.solidRequest.onSecondCall().returns(Promise.reject(notModified))
+
+  client.get(url)
+    .then(() => client.get(url))
+    .then((result) => {
+      t.equal(result, response, 'A 304 should resolve to the cached response')
+      let headers = client.solidRequest.secondCall.args[2].headers
+      t.equal(headers['If-None-Match'], '"v1"')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('get() returns fresh cached responses without a request', t => {
+  let client = new solid.SolidWebClient(null, { cache: true })
+  let url = 'https://example.com/card'
+  let response = sampleResponse({ 'Cache-Control': 'max-age=600' })
+  client.solidRequest = sinon.stub().returns(Promise.resolve(response))
+
+  client.get(url)
+    .then(() => client.get(url))
+    .then((result) => {
+      t.equal(result, response)
+      t.equal(client.solidRequest.callCount, 1)
+
+      client.invalidateCache('https://example.com/card', 'PUT')
+      return client.get(url)
+    })
+    .then(() => {
+      t.equal(client.solidRequest.callCount, 2, 'Writes invalidate the cache')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('invalidateCache() removes the resource and its parent container', t => {
+  let client = new solid.SolidWebClient(null, { cache: true })
+  let response = sampleResponse({ 'Cache-Control': 'max-age=600' })
+  client.cache.set('https://example.com/notes/', 'text/turtle', response)
+  client.cache.set('https://example.com/notes/1.ttl', 'text/turtle', response)
+  client.cache.set('https://example.com/other.ttl', 'text/turtle', response)
+
+  client.invalidateCache('https://example.com/notes/1.ttl', 'GET')
+  t.ok(client.cache.get('https://example.com/notes/1.ttl', 'text/turtle'),
+    'Reads do not invalidate the cache')
+
+  client.invalidateCache('https://example.com/notes/1.ttl', 'DELETE')
+  t.notOk(client.cache.get('https://example.com/notes/1.ttl', 'text/turtle'))
+  t.notOk(client.cache.get('https://example.com/notes/', 'text/turtle'))
+  t.ok(client.cache.get('https://example.com/other.ttl', 'text/turtle'))
+  t.end()
+})
+
+test('get() does not leak cache validators into shared options', t => {
+  let rdf = require('rdflib')
+  let headers = {
+    'Content-Type': 'text/turtle',
+    'Last-Modified': 'Wed, 21 Oct 2015 07:28:00 GMT'
+  }
+  let transport = fakeTransport((request) => {
+    return withUrl(request.url, fakeXhr(200, headers))
+  })
+  let client = new solid.SolidWebClient(rdf, { transport: transport, cache: true })
+  let options = {}
+  client.get('https://example.com/a.ttl', options)
+    .then(() => client.loadGraphs([ 'https://example.com/a.ttl',
+      'https://example.com/b.ttl' ], options))
+    .then((report) => {
+      let headers = transport.requests[2].headers
+      t.equal(transport.requests[2].url, 'https://example.com/b.ttl')
+      t.notOk(headers['If-Modified-Since'],
+        'Validators of one URL should not be sent with another')
+      t.ok(transport.requests[1].headers['If-Modified-Since'])
+      t.notOk(options.headers, 'The caller options should not be modified')
+      t.notOk(report.results[1].error)
+      t.end()
+    })
+    .catch(t.end)
+})
@@ -3,6 +3,12 @@
 var test = require('tape')
 var sinon = require('sinon')
 var solid = require('../../src/client')
+var graphUtil = require('../../src/util/graph-util')
+var HttpError = require('standard-http-error')
+var helpers = require('../resources/helpers')
+var fakeTransport = helpers.fakeTransport
+var fakeXhr = helpers.fakeXhr
+var withUrl = helpers.withUrl
 
 test('loadParsedGraphs uses proper URI when redirected', t => {
   let parsedGraph = sinon.stub().returns(null)
@@ -16,3 +22,924 @@ test('loadParsedGraphs uses proper URI when redirected', t => {
       t.end()
     })
 })
+
+function fakeResponse (url, options = {}) {
+  return {
+    url: url,
+    isContainer: () => url.endsWith('/'),
+    isRdf: () => !!options.graph,
+    parsedGraph: () => options.graph,
+    raw: () => options.raw,
+    contentType: () => options.contentType || 'text/turtle',
+    aclAbsoluteUrl: () => options.acl || null,
+    metaAbsoluteUrl: () => options.meta || null,
+    resource: { contentsUris: options.contents || [] }
+  }
+}
+
+test('copy() recursively copies a container', t => {
+  let client = new solid.SolidWebClient()
+  let jpegData = new Uint8Array([ 0xff, 0xd8, 0xff, 0xe0 ]).buffer
+  let responses = {
+    'https://a.example/src/': fakeResponse('https://a.example/src/', {
+      contents: [ 'https://a.example/src/photo.jpg', 'https://a.example/src/sub/' ]
+    }),
+    'https://a.example/src/photo.jpg': fakeResponse('https://a.example/src/photo.jpg',
+      { raw: jpegData, contentType: 'image/jpeg' }),
+    'https://a.example/src/sub/': fakeResponse('https://a.example/src/sub/', {
+      contents: [ 'https://a.example/src/sub/note.ttl' ]
+    }),
+    'https://a.example/src/sub/note.ttl': fakeResponse('https://a.example/src/sub/note.ttl',
+      { raw: '<#a> <#b> <#c> .' })
+  }
+  client.get = sinon.spy((url) => Promise.resolve(responses[url]))
+  client.createContainer = sinon.spy((parentUrl, name) => {
+    return Promise.resolve(fakeResponse(parentUrl + name + '/'))
+  })
+  client.put = sinon.spy((url) => Promise.resolve(fakeResponse(url)))
+
+  client.copy('https://a.example/src/', 'https://b.example/dest')
+    .then((response) => {
+      t.equal(response.url, 'https://b.example/dest/')
+      t.deepEqual(client.createContainer.args, [
+        [ 'https://b.example/', 'dest' ],
+        [ 'https://b.example/dest/', 'sub' ]
+      ])
+      t.deepEqual(client.put.args, [
+        [ 'https://b.example/dest/photo.jpg', jpegData, 'image/jpeg' ],
+        [ 'https://b.example/dest/sub/note.ttl', '<#a> <#b> <#c> .', 'text/turtle' ]
+      ])
+      t.equal(client.put.args[0][1], jpegData,
+        'Binary resources should be re-uploaded as is')
+      t.deepEqual(client.get.withArgs('https://a.example/src/photo.jpg').args[0][1],
+        { responseType: 'arraybuffer' })
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('copy() optionally copies .acl resources', t => {
+  let rdf = require('rdflib')
+  let client = new solid.SolidWebClient(rdf)
+  let sourceUrl = 'https://a.example/doc.ttl'
+  let aclUrl = 'https://a.example/doc.ttl.acl'
+  let aclSource = '@prefix acl: <http://www.w3.org/ns/auth/acl#>.\n' +
+    '<#owner> acl:accessTo <doc.ttl>; acl:agent <https://alice.example/#me>.'
+  let responses = {
+    'https://a.example/doc.ttl': fakeResponse(sourceUrl, {
+      raw: '', acl: aclUrl
+    }),
+    'https://a.example/doc.ttl.acl': fakeResponse(aclUrl, {
+      graph: graphUtil.parseGraph(rdf, aclUrl, aclSource, 'text/turtle')
+    })
+  }
+  client.get = (url) => Promise.resolve(responses[url])
+  client.head = (url) => Promise.resolve(fakeResponse(url, { acl: url + '.acl' }))
+  client.put = sinon.spy((url) => Promise.resolve(fakeResponse(url)))
+
+  client.copy(sourceUrl, 'https://a.example/copy.ttl', { withAcl: true })
+    .then(() => {
+      t.equal(client.put.callCount, 2)
+      t.equal(client.put.args[1][0], 'https://a.example/copy.ttl.acl')
+      t.equal(client.put.args[1][2], 'text/turtle')
+      let nTriples = client.put.args[1][1].map((st) => {
+        return [ st.subject, st.predicate, st.object ]
+          .map((term) => term.toNT()).join(' ')
+      }).sort()
+      t.deepEqual(nTriples, [
+        '<https://a.example/copy.ttl.acl#owner> ' +
+          '<http://www.w3.org/ns/auth/acl#accessTo> <https://a.example/copy.ttl>',
+        '<https://a.example/copy.ttl.acl#owner> ' +
+          '<http://www.w3.org/ns/auth/acl#agent> <https://alice.example/#me>'
+      ], 'Links to the source (even relative ones) should be rewritten')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('move() copies and then deletes the source', t => {
+  let client = new solid.SolidWebClient()
+  client.copy = sinon.stub().returns(Promise.resolve(fakeResponse('https://b.example/doc')))
+  client.delTree = sinon.stub()
+    .returns(Promise.resolve({ deleted: [ 'https://a.example/doc' ], failed: [] }))
+
+  client.move('https://a.example/doc', 'https://b.example/doc')
+    .then((response) => {
+      t.equal(response.url, 'https://b.example/doc')
+      t.ok(client.copy.calledBefore(client.delTree))
+      t.ok(client.delTree.calledWith('https://a.example/doc'))
+      t.end()
+    })
+    .catch(t.end)
+})
+
+function delTreeClient () {
+  let client = new solid.SolidWebClient()
+  let responses = {
+    'https://a.example/old/': fakeResponse('https://a.example/old/', {
+      acl: 'https://a.example/old/.acl',
+      contents: [ 'https://a.example/old/a.ttl', 'https://a.example/old/sub/' ]
+    }),
+    'https://a.example/old/a.ttl': fakeResponse('https://a.example/old/a.ttl', {
+      acl: 'https://a.example/old/a.ttl.acl',
+      meta: 'https://a.example/old/a.ttl.meta'
+    }),
+    'https://a.example/old/sub/': fakeResponse('https://a.example/old/sub/', {
+      contents: [ 'https://a.example/old/sub/b.ttl' ]
+    }),
+    'https://a.example/old/sub/b.ttl': fakeResponse('https://a.example/old/sub/b.ttl')
+  }
+  client.get = (url) => Promise.resolve(responses[url])
+  client.head = (url) => Promise.resolve(responses[url])
+  return client
+}
+
+test('delTree() dry run lists deletions depth-first', t => {
+  let client = delTreeClient()
+  client.del = sinon.spy()
+
+  client.delTree('https://a.example/old/', { dryRun: true })
+    .then((report) => {
+      t.ok(report.dryRun)
+      t.deepEqual(report.planned, [
+        'https://a.example/old/a.ttl',
+        'https://a.example/old/a.ttl.meta',
+        'https://a.example/old/a.ttl.acl',
+        'https://a.example/old/sub/b.ttl',
+        'https://a.example/old/sub/',
+        'https://a.example/old/',
+        'https://a.example/old/.acl'
+      ])
+      t.notOk(client.del.called, 'Nothing should be deleted in a dry run')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('delTree() skips and reports items that could not be listed', t => {
+  let client = delTreeClient()
+  let get = client.get
+  client.get = (url) => {
+    return url === 'https://a.example/old/sub/'
+      ? Promise.reject(new HttpError(403))
+      : get(url)
+  }
+  client.del = sinon.spy(() => Promise.resolve())
+
+  client.delTree('https://a.example/old/')
+    .then((report) => {
+      t.deepEqual(report.failed.map((failure) => failure.url),
+        [ 'https://a.example/old/sub/' ])
+      t.equal(report.failed[0].error.status, 403)
+      t.deepEqual(report.planned, [
+        'https://a.example/old/a.ttl',
+        'https://a.example/old/a.ttl.meta',
+        'https://a.example/old/a.ttl.acl',
+        'https://a.example/old/',
+        'https://a.example/old/.acl'
+      ], 'The branch that could not be listed should be skipped')
+      t.deepEqual(report.deleted, report.planned)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('delTree() reports failed deletions', t => {
+  let client = delTreeClient()
+  client.del = sinon.spy((url) => {
+    if (url === 'https://a.example/old/sub/b.ttl') {
+      return Promise.reject(new HttpError(403))
+    }
+    if (url === 'https://a.example/old/sub/') {
+      return Promise.reject(new HttpError(409))
+    }
+    if (url === 'https://a.example/old/a.ttl.acl') {
+      // Already deleted by the server along with a.ttl
+      return Promise.reject(new HttpError(404))
+    }
+    return Promise.resolve()
+  })
+
+  client.delTree('https://a.example/old/')
+    .then((report) => {
+      t.equal(client.del.callCount, 7, 'Should keep going after failures')
+      t.deepEqual(report.failed.map((failure) => failure.url), [
+        'https://a.example/old/sub/b.ttl',
+        'https://a.example/old/sub/'
+      ])
+      t.equal(report.failed[0].error.status, 403)
+      t.deepEqual(report.deleted, [
+        'https://a.example/old/a.ttl',
+        'https://a.example/old/a.ttl.meta',
+        'https://a.example/old/',
+        'https://a.example/old/.acl'
+      ])
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('requests are sent through the configured transport', t => {
+  let transport = fakeTransport([ fakeXhr(201) ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  client.put('https://a.example/doc.ttl', '<#a> <#b> <#c> .', 'text/turtle')
+    .then((response) => {
+      let request = transport.requests[0]
+      t.equal(request.method, 'PUT')
+      t.equal(request.url, 'https://a.example/doc.ttl')
+      t.equal(request.data, '<#a> <#b> <#c> .')
+      t.equal(request.headers['Content-Type'], 'text/turtle')
+      t.ok(request.withCredentials)
+      t.equal(response.url, 'https://a.example/doc.ttl')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('conditional write options are sent as headers', t => {
+  let transport = fakeTransport([ fakeXhr(201) ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  let options = {
+    ifMatch: '"v1"',
+    ifUnmodifiedSince: new Date('2015-10-21T07:28:00Z')
+  }
+  client.put('https://a.example/doc.ttl', '<#a> <#b> <#c> .', 'text/turtle', options)
+    .then(() => {
+      let headers = transport.requests[0].headers
+      t.equal(headers['If-Match'], '"v1"')
+      t.equal(headers['If-Unmodified-Since'], 'Wed, 21 Oct 2015 07:28:00 GMT')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('412 on a write rejects with PreconditionFailedError', t => {
+  let transport = fakeTransport([
+    fakeXhr(412),
+    fakeXhr(200, { 'Content-Type': 'text/plain', 'ETag': '"v2"' })
+  ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  client.del('https://a.example/doc.ttl', { ifMatch: '"v1"' })
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.ok(error instanceof solid.errors.PreconditionFailedError)
+      t.ok(error instanceof HttpError)
+      t.equal(error.status, 412)
+      t.equal(transport.requests[1].method, 'GET')
+      t.equal(error.currentResponse.etag, '"v2"',
+        'Error should carry the current state of the resource')
+      t.end()
+    })
+})
+
+test('use() middleware can rewrite requests and responses', t => {
+  let transport = fakeTransport([ fakeXhr(200, { 'Content-Type': 'text/plain' }) ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  client.auth = { accessToken: 'token123' }
+
+  client
+    .use((request, next) => {
+      request.headers['X-Trace'] = 'trace1'
+      request.url = request.url.replace('old.example', 'a.example')
+      return next(request)
+        .then((response) => {
+          response.traced = true
+          return response
+        })
+    })
+
+  client.get('https://old.example/doc.ttl')
+    .then((response) => {
+      let request = transport.requests[0]
+      t.equal(request.url, 'https://a.example/doc.ttl')
+      t.equal(request.headers['X-Trace'], 'trace1')
+      t.equal(request.headers['Authorization'], 'Bearer token123',
+        'Built-in auth middleware adds the auth header')
+      t.equal(request.timeout, 50000, 'Built-in timeout middleware')
+      t.ok(response.traced)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('use() middleware can map errors', t => {
+  let transport = fakeTransport([ fakeXhr(404) ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  client.use((request, next) => {
+    return next(request)
+      .catch((error) => {
+        throw new Error('Not found: ' + request.url + ' (' + error.status + ')')
+      })
+  })
+
+  client.get('https://a.example/missing')
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.equal(error.message, 'Not found: https://a.example/missing (404)')
+      t.end()
+    })
+})
+
+test('put() sends streams as buffers, get() passes the responseType', t => {
+  let Readable = require('stream').Readable
+  let transport = fakeTransport([ fakeXhr(201), fakeXhr(200) ])
+  let client = new solid.SolidWebClient(null, { transport: transport, cache: true })
+  let stream = new Readable({ read () {} })
+  stream.push(Buffer.from([ 0x89, 0x50 ]))
+  stream.push(null)
+
+  client.put('https://a.example/photo.png', stream, 'image/png')
+    .then(() => {
+      let data = transport.requests[0].data
+      t.ok(Buffer.isBuffer(data), 'The stream is read into a Buffer')
+      t.deepEqual(Array.from(data), [ 0x89, 0x50 ])
+      return client.get('https://a.example/photo.png', { responseType: 'arraybuffer' })
+    })
+    .then(() => {
+      t.equal(transport.requests[1].responseType, 'arraybuffer')
+      t.deepEqual(client.cache.entries, {}, 'Binary responses are not cached')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('aborted requests are not retried', t => {
+  let transport = {
+    send: sinon.spy(() => Promise.reject(new solid.errors.AbortError('Request aborted')))
+  }
+  let config = { transport: transport, retry: { maxAttempts: 3, initialDelay: 1 } }
+  let client = new solid.SolidWebClient(null, config)
+  let signal = { aborted: false }
+
+  client.get('https://a.example/doc.ttl', { signal: signal })
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.ok(error instanceof solid.errors.AbortError)
+      t.equal(transport.send.callCount, 1)
+      t.equal(transport.send.firstCall.args[0].signal, signal,
+        'The signal is passed to the transport')
+      t.end()
+    })
+})
+
+test('get() accepts the registered formats, and parses JSON-LD', t => {
+  let rdf = require('rdflib')
+  let body = JSON.stringify({
+    '@id': 'https://a.example/doc#me',
+    'http://xmlns.com/foaf/0.1/name': 'Alice'
+  })
+  let transport = fakeTransport([
+    fakeXhr(200, { 'Content-Type': 'application/ld+json' }, body)
+  ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+
+  client.get('https://a.example/doc.ttl')
+    .then((response) => {
+      t.equal(transport.requests[0].headers['Accept'], solid.formats.acceptHeader())
+      t.equal(response.resource.parsedGraph.statements.length, 1)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('head() and put() do not parse the empty body of a JSON-LD response', t => {
+  let rdf = require('rdflib')
+  let headers = { 'Content-Type': 'application/ld+json' }
+  let transport = fakeTransport([ fakeXhr(200, headers), fakeXhr(201, headers) ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+
+  client.head('https://a.example/doc.jsonld')
+    .then((response) => {
+      t.equal(response.resource, null)
+      return client.put('https://a.example/doc.jsonld', '{}', 'application/ld+json')
+    })
+    .then((response) => {
+      t.equal(response.resource, null)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('put() and post() serialize graphs', t => {
+  let rdf = require('rdflib')
+  let transport = fakeTransport([ fakeXhr(201), fakeXhr(201) ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  let statements = [
+    rdf.st(rdf.sym('#me'), rdf.sym('http://xmlns.com/foaf/0.1/name'), rdf.literal('Alice'))
+  ]
+
+  client.put('https://a.example/card', statements, 'application/n-triples')
+    .then(() => client.post('https://a.example/notes/', statements, 'note', false,
+      'application/ld+json'))
+    .then(() => {
+      let put = transport.requests[0]
+      t.equal(put.headers['Content-Type'], 'application/n-triples')
+      t.equal(put.data,
+        '<https://a.example/card#me> <http://xmlns.com/foaf/0.1/name> "Alice" .\n')
+      let post = JSON.parse(transport.requests[1].data)
+      t.equal(post[0]['@id'], 'https://a.example/notes/note#me',
+        'Relative IRIs are resolved against the suggested URL')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('put() writes an empty list of statements as an empty document', t => {
+  let rdf = require('rdflib')
+  let transport = fakeTransport([ fakeXhr(201) ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+
+  client.put('https://a.example/empty.ttl', [], 'text/turtle')
+    .then(() => {
+      t.equal(typeof transport.requests[0].data, 'string')
+      t.equal(transport.requests[0].data.trim(), '')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('proxy middleware rewrites URLs when forced', t => {
+  let transport = fakeTransport([ fakeXhr(200, { 'Content-Type': 'text/plain' }) ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  let options = { forceProxy: true, proxyUrl: 'https://proxy.example/?uri={uri}' }
+
+  client.get('https://a.example/doc', options)
+    .then(() => {
+      t.equal(transport.requests[0].url,
+        'https://proxy.example/?uri=https%3A%2F%2Fa.example%2Fdoc')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('patch() uses N3 Patch when it is the only format accepted', t => {
+  let transport = fakeTransport([
+    fakeXhr(200, { 'Accept-Patch': 'text/n3' }),
+    fakeXhr(200),
+    fakeXhr(200)
+  ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  let toIns = [ '<#me> <#name> "New" .' ]
+
+  client.patch('https://a.example/doc.ttl', [], toIns)
+    .then(() => client.patch('https://a.example/other.ttl', [], toIns))
+    .then(() => {
+      let methods = transport.requests.map((request) => request.method)
+      t.deepEqual(methods, [ 'HEAD', 'PATCH', 'PATCH' ],
+        'The patch format is discovered once per server')
+      t.equal(transport.requests[1].headers['Content-Type'], 'text/n3')
+      t.ok(transport.requests[1].data.indexOf('solid:inserts') !== -1)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('patch() discovers the default format once per server, unless HEAD fails', t => {
+  let transport = fakeTransport([
+    fakeXhr(404),
+    fakeXhr(200),
+    fakeXhr(200),
+    fakeXhr(200),
+    fakeXhr(200)
+  ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  let toIns = [ '<#me> <#name> "New" .' ]
+
+  client.patch('https://a.example/new.ttl', [], toIns)
+    .then(() => client.patch('https://a.example/doc.ttl', [], toIns))
+    .then(() => client.patch('https://a.example/other.ttl', [], toIns))
+    .then(() => {
+      let methods = transport.requests.map((request) => request.method)
+      t.deepEqual(methods, [ 'HEAD', 'PATCH', 'HEAD', 'PATCH', 'PATCH' ],
+        'A server without Accept-Patch is not asked again')
+      t.ok(transport.requests.filter((request) => request.method === 'PATCH')
+        .every((request) => request.headers['Content-Type'] === 'application/sparql-update'))
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('patch() patchFormat option', t => {
+  let transport = fakeTransport([ fakeXhr(200) ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  let options = { patchFormat: 'application/sparql-update' }
+
+  client.patch('https://a.example/doc.ttl', [], [ '<#a> <#b> <#c> .' ], options)
+    .then(() => {
+      t.equal(transport.requests.length, 1, 'No discovery request needed')
+      t.equal(transport.requests[0].headers['Content-Type'], 'application/sparql-update')
+      t.equal(transport.requests[0].data, 'INSERT DATA { <#a> <#b> <#c> . };\n')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('patch() where option', t => {
+  let transport = fakeTransport([ fakeXhr(200) ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  let pattern = [ '<#a>', '<#b>', '?c' ]
+  let options = { patchFormat: 'application/sparql-update', where: [ pattern ] }
+
+  client.patch('https://a.example/doc.ttl', [ pattern ], [], options)
+    .then(() => {
+      t.equal(transport.requests[0].data,
+        'DELETE { <#a> <#b> ?c . }\nWHERE { <#a> <#b> ?c . }\n')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('patch() rejects invalid patterns without sending anything', t => {
+  let transport = fakeTransport([])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+
+  client.patch('https://a.example/doc.ttl', [], [ [ '<#a>', '<#b>', '?c' ] ])
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.ok(error instanceof solid.errors.InvalidPatchError)
+      t.equal(transport.requests.length, 0)
+      t.end()
+    })
+})
+
+test('saveGraph() patches the differences between two graphs', t => {
+  let rdf = require('rdflib')
+  let base = 'https://a.example/doc.ttl'
+  let parse = (source) => {
+    let graph = rdf.graph()
+    rdf.parse('@prefix : <#>.\n' + source, graph, base, 'text/turtle')
+    return graph
+  }
+  let client = new solid.SolidWebClient(rdf)
+  client.patch = sinon.spy(() => Promise.resolve('patched'))
+  client.put = sinon.spy(() => Promise.resolve('put'))
+
+  client.saveGraph(base, parse(':a :b :c.'), parse(':a :b :c.'))
+    .then((result) => {
+      t.equal(result, null, 'Nothing to save')
+      return client.saveGraph(base, parse(':a :b :c.'), parse(':a :b :d.'))
+    })
+    .then((result) => {
+      t.equal(result, 'patched')
+      let args = client.patch.firstCall.args
+      t.deepEqual(args[1].map((st) => st.toNT()),
+        [ '<' + base + '#a> <' + base + '#b> <' + base + '#c> .' ])
+      t.deepEqual(args[2].map((st) => st.toNT()),
+        [ '<' + base + '#a> <' + base + '#b> <' + base + '#d> .' ])
+      return client.saveGraph(base, parse(':a :b [ :c 1 ].'), parse(':a :b [ :c 2 ].'))
+    })
+    .then((result) => {
+      t.equal(result, 'put', 'Blank node changes are saved with a PUT')
+      t.equal(client.put.firstCall.args[2], 'text/turtle')
+      t.ok(client.put.firstCall.args[1].indexOf('"2"') !== -1 ||
+        client.put.firstCall.args[1].indexOf(' 2 ') !== -1)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('get() allPages option merges the pages of a container', t => {
+  let rdf = require('rdflib')
+  let ldp = 'http://www.w3.org/ns/ldp#'
+  let pageXhr = (url, next, body) => {
+    let links = '<' + ldp + 'BasicContainer>; rel="type"'
+    if (next) {
+      links += ', <' + next + '>; rel="next"'
+    }
+    let headers = { 'Content-Type': 'text/turtle', 'Link': links }
+    return withUrl(url, fakeXhr(200, headers, body))
+  }
+  let transport = fakeTransport([
+    pageXhr('https://a.example/c/', '?page=2',
+      '<> a <' + ldp + 'BasicContainer>; <' + ldp + 'contains> <a.ttl>, <b.ttl> .'),
+    pageXhr('https://a.example/c/?page=2', null,
+      '<https://a.example/c/> <' + ldp + 'contains> <https://a.example/c/d/> .\n' +
+      '<https://a.example/c/d/> a <' + ldp + 'Container> .')
+  ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.get('https://a.example/c/', { allPages: true })
+    .then((response) => {
+      t.deepEqual(transport.requests.map((request) => request.url), [
+        'https://a.example/c/', 'https://a.example/c/?page=2'
+      ])
+      let container = response.resource
+      t.ok(container.isContainer())
+      t.deepEqual(container.contentsUris, [
+        'https://a.example/c/a.ttl',
+        'https://a.example/c/b.ttl',
+        'https://a.example/c/d/'
+      ])
+      t.ok(container.isType(ldp + 'BasicContainer'),
+        'Later pages should not reset the container types')
+      t.ok(container.containers['https://a.example/c/d/'])
+      t.equal(response.parsedGraph().statementsMatching(
+        undefined, rdf.sym(ldp + 'contains')).length, 3)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('get() include and omit options send a Prefer header', t => {
+  let rdf = require('rdflib')
+  let ldp = 'http://www.w3.org/ns/ldp#'
+  let headers = {
+    'Content-Type': 'text/turtle',
+    'Link': '<' + ldp + 'BasicContainer>; rel="type"',
+    'Preference-Applied': 'return=representation; include="' + ldp +
+      'PreferMinimalContainer"'
+  }
+  let xhr = () => withUrl('https://a.example/c/',
+    fakeXhr(200, headers, '<> a <' + ldp + 'BasicContainer> .'))
+  let transport = fakeTransport([ xhr(), xhr() ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.get('https://a.example/c/', { include: 'PreferMinimalContainer' })
+    .then((response) => {
+      t.equal(transport.requests[0].headers['Prefer'],
+        'return=representation; include="' + ldp + 'PreferMinimalContainer"')
+      let container = response.resource
+      t.deepEqual(container.preferenceApplied.include,
+        [ ldp + 'PreferMinimalContainer' ])
+      t.ok(container.isOmitted('PreferContainment'))
+      t.notOk(container.isOmitted(ldp + 'PreferMinimalContainer'))
+      return client.get('https://a.example/c/', { omit: [ 'PreferMembership' ] })
+    })
+    .then(() => {
+      t.equal(transport.requests.length, 2)
+      t.equal(transport.requests[1].headers['Prefer'],
+        'return=representation; omit="' + ldp + 'PreferMembership"')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('getMetadata() and updateMetadata() follow the describedBy link', t => {
+  let rdf = require('rdflib')
+  let head = () => withUrl('https://a.example/photos/cat.jpg', fakeXhr(200, {
+    'Link': '<cat.jpg.meta>; rel="describedBy"'
+  }))
+  let meta = withUrl('https://a.example/photos/cat.jpg.meta',
+    fakeXhr(200, { 'Content-Type': 'text/turtle', 'ETag': '"m1"' },
+      '<cat.jpg> <http://purl.org/dc/terms/title> "Cat" .'))
+  let transport = fakeTransport([ head(), meta, head(), fakeXhr(200) ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.getMetadata('https://a.example/photos/cat.jpg')
+    .then((metadata) => {
+      t.equal(transport.requests[0].method, 'HEAD')
+      t.equal(metadata.url, 'https://a.example/photos/cat.jpg.meta')
+      t.equal(metadata.etag, '"m1"')
+      t.equal(metadata.graph.any(rdf.sym(metadata.resourceUrl),
+        rdf.sym('http://purl.org/dc/terms/title')).value, 'Cat')
+      return client.updateMetadata('https://a.example/photos/cat.jpg', [],
+        [ [ '<>', '<http://purl.org/dc/terms/license>', '<#cc-by>' ] ],
+        { patchFormat: 'application/sparql-update' })
+    })
+    .then(() => {
+      let request = transport.requests[3]
+      t.equal(request.method, 'PATCH')
+      t.equal(request.url, 'https://a.example/photos/cat.jpg.meta')
+      t.ok(request.data.indexOf('<https://a.example/photos/cat.jpg> ' +
+        '<http://purl.org/dc/terms/license> ' +
+        '<https://a.example/photos/cat.jpg#cc-by> .') !== -1,
+        'Relative IRIs should refer to the described resource')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('getMetadata() resolves to an empty graph if there is no metadata yet', t => {
+  let rdf = require('rdflib')
+  let transport = fakeTransport([
+    fakeXhr(200, { 'Link': '<doc.ttl.meta>; rel="describedBy"' }),
+    fakeXhr(404)
+  ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.getMetadata('https://a.example/doc.ttl')
+    .then((metadata) => {
+      t.equal(metadata.url, 'https://a.example/doc.ttl.meta')
+      t.equal(metadata.graph.statements.length, 0)
+      t.equal(metadata.etag, null)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('post() metadata option describes the created resource', t => {
+  let rdf = require('rdflib')
+  let created = withUrl('https://a.example/photos/',
+    fakeXhr(201, { 'Location': '/photos/cat.jpg' }))
+  let head = withUrl('https://a.example/photos/cat.jpg', fakeXhr(200, {
+    'Link': '<cat.jpg.meta>; rel="describedBy"',
+    'Accept-Patch': 'application/sparql-update'
+  }))
+  let transport = fakeTransport([ created, head, head, fakeXhr(200) ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  let metadata = [ [ '<>', '<http://purl.org/dc/terms/title>', '"Cat"' ] ]
+  client.post('https://a.example/photos/', 'binary', 'cat.jpg', false,
+    'image/jpeg', { metadata: metadata })
+    .then((response) => {
+      t.equal(response.url, 'https://a.example/photos/cat.jpg')
+      t.deepEqual(transport.requests.map((request) => request.method),
+        [ 'POST', 'HEAD', 'HEAD', 'PATCH' ])
+      t.equal(transport.requests[3].url, 'https://a.example/photos/cat.jpg.meta')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('findStorage() walks up to the pim:Storage container, and caches it', t => {
+  let transport = fakeTransport([
+    withUrl('https://a.example/alice/photos/', fakeXhr(403)),
+    withUrl('https://a.example/alice/', fakeXhr(200, {
+      'Link': '<http://www.w3.org/ns/pim/space#Storage>; rel="type"'
+    }))
+  ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  client.findStorage('https://a.example/alice/photos/cat.jpg')
+    .then((storageUrl) => {
+      t.equal(storageUrl, 'https://a.example/alice/')
+      t.deepEqual(transport.requests.map((request) => request.url), [
+        'https://a.example/alice/photos/', 'https://a.example/alice/'
+      ])
+      return client.findStorage('https://a.example/alice/notes/')
+    })
+    .then((storageUrl) => {
+      t.equal(storageUrl, 'https://a.example/alice/')
+      t.equal(transport.requests.length, 2, 'Should use the cached storage root')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('findStorage() falls back to the pim:storage of the WebID profile', t => {
+  let rdf = require('rdflib')
+  let webId = 'https://alice.example/profile/card#me'
+  let transport = fakeTransport([
+    withUrl('https://a.example/alice/', fakeXhr(200, { 'User': webId })),
+    withUrl('https://a.example/', fakeXhr(200, { 'User': webId })),
+    withUrl('https://alice.example/profile/card', fakeXhr(200, { 'Content-Type': 'text/turtle' },
+      '<#me> <http://www.w3.org/ns/pim/space#storage> <https://b.example/>, ' +
+      '<https://a.example/alice/> .'))
+  ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.findStorage('https://a.example/alice/')
+    .then((storageUrl) => {
+      t.equal(transport.requests[2].url, 'https://alice.example/profile/card')
+      t.equal(storageUrl, 'https://a.example/alice/')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('discoverInbox() uses the Link header, or the ldp:inbox statement', t => {
+  let rdf = require('rdflib')
+  let transport = fakeTransport([
+    withUrl('https://a.example/articles/1', fakeXhr(200, {
+      'Link': '<inbox/>; rel="http://www.w3.org/ns/ldp#inbox"'
+    })),
+    withUrl('https://a.example/profile/card', fakeXhr(200)),
+    withUrl('https://a.example/profile/card', fakeXhr(200, { 'Content-Type': 'text/turtle' },
+      '<#me> <http://www.w3.org/ns/ldp#inbox> </inbox/> .'))
+  ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.discoverInbox('https://a.example/articles/1')
+    .then((inboxUrl) => {
+      t.equal(inboxUrl, 'https://a.example/articles/inbox/')
+      return client.discoverInbox('https://a.example/profile/card#me')
+    })
+    .then((inboxUrl) => {
+      t.deepEqual(transport.requests.map((request) => request.method),
+        [ 'HEAD', 'HEAD', 'GET' ])
+      t.equal(inboxUrl, 'https://a.example/inbox/')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('discoverInbox() of JSON-LD documents', t => {
+  let rdf = require('rdflib')
+  let jsonLd = { 'Content-Type': 'application/ld+json' }
+  let transport = fakeTransport([
+    withUrl('https://a.example/articles/1', fakeXhr(200, Object.assign({
+      'Link': '<inbox/>; rel="http://www.w3.org/ns/ldp#inbox"'
+    }, jsonLd))),
+    withUrl('https://a.example/profile/card', fakeXhr(200, jsonLd)),
+    withUrl('https://a.example/profile/card', fakeXhr(200, jsonLd, JSON.stringify({
+      '@id': 'https://a.example/profile/card#me',
+      'http://www.w3.org/ns/ldp#inbox': { '@id': 'https://a.example/inbox/' }
+    })))
+  ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.discoverInbox('https://a.example/articles/1')
+    .then((inboxUrl) => {
+      t.equal(inboxUrl, 'https://a.example/articles/inbox/')
+      return client.discoverInbox('https://a.example/profile/card#me')
+    })
+    .then((inboxUrl) => {
+      t.equal(inboxUrl, 'https://a.example/inbox/')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('postNotification() sends JSON-LD objects and Turtle', t => {
+  let transport = fakeTransport([ fakeXhr(201), fakeXhr(201) ])
+  let client = new solid.SolidWebClient(null, { transport: transport })
+  let notification = {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    '@type': 'Announce',
+    'object': 'https://b.example/comments/1'
+  }
+  client.postNotification('https://a.example/inbox/', notification)
+    .then(() => {
+      let request = transport.requests[0]
+      t.equal(request.method, 'POST')
+      t.equal(request.headers['Content-Type'], 'application/ld+json')
+      t.deepEqual(JSON.parse(request.data), notification)
+      return client.postNotification('https://a.example/inbox/',
+        '<> a <https://www.w3.org/ns/activitystreams#Announce> .',
+        { slug: 'comment' })
+    })
+    .then(() => {
+      let request = transport.requests[1]
+      t.equal(request.headers['Content-Type'], 'text/turtle')
+      t.equal(request.headers['Slug'], 'comment')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('listNotifications(), readNotification() and markNotificationProcessed()', t => {
+  let rdf = require('rdflib')
+  let ldp = 'http://www.w3.org/ns/ldp#'
+  let transport = fakeTransport([
+    withUrl('https://a.example/inbox/', fakeXhr(200, {
+      'Content-Type': 'text/turtle',
+      'Link': '<' + ldp + 'BasicContainer>; rel="type"'
+    }, '<> <' + ldp + 'contains> <n1.jsonld> .')),
+    withUrl('https://a.example/inbox/n1.jsonld', fakeXhr(200,
+      { 'Content-Type': 'application/ld+json' },
+      JSON.stringify({
+        '@id': 'https://a.example/inbox/n1.jsonld',
+        '@type': 'https://www.w3.org/ns/activitystreams#Announce'
+      }))),
+    withUrl('https://a.example/inbox/n1.jsonld', fakeXhr(200))
+  ])
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.listNotifications('https://a.example/inbox/')
+    .then((inbox) => {
+      t.deepEqual(inbox.contentsUris, [ 'https://a.example/inbox/n1.jsonld' ])
+      return client.readNotification(inbox.contentsUris[0])
+    })
+    .then((notification) => {
+      t.ok(notification.isType('https://www.w3.org/ns/activitystreams#Announce'))
+      return client.markNotificationProcessed(notification.uri)
+    })
+    .then(() => {
+      let request = transport.requests[2]
+      t.equal(request.method, 'DELETE')
+      t.equal(request.url, 'https://a.example/inbox/n1.jsonld')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('markNotificationProcessed() moveTo option', t => {
+  let client = new solid.SolidWebClient(null, { transport: fakeTransport([]) })
+  client.move = sinon.stub().returns(Promise.resolve())
+  client.markNotificationProcessed('https://a.example/inbox/n1.ttl',
+    { moveTo: 'https://a.example/archive/' })
+    .then(() => {
+      t.ok(client.move.calledWith('https://a.example/inbox/n1.ttl',
+        'https://a.example/archive/n1.ttl'))
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('markNotificationProcessed() moves JSON-LD notifications', t => {
+  let rdf = require('rdflib')
+  let jsonLd = { 'Content-Type': 'application/ld+json' }
+  let body = JSON.stringify({ '@type': 'https://www.w3.org/ns/activitystreams#Announce' })
+  let transport = fakeTransport((request) => {
+    let status = request.method === 'PUT' ? 201 : 200
+    let xhr = request.method === 'GET' ? fakeXhr(status, jsonLd, body)
+      : fakeXhr(status, jsonLd)
+    return withUrl(request.url, xhr)
+  })
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+
+  client.markNotificationProcessed('https://a.example/inbox/n1.jsonld',
+    { moveTo: 'https://a.example/archive/' })
+    .then(() => {
+      t.deepEqual(transport.requests.map((request) => {
+        return request.method + ' ' + request.url
+      }), [
+        'GET https://a.example/inbox/n1.jsonld',
+        'PUT https://a.example/archive/n1.jsonld',
+        'HEAD https://a.example/inbox/n1.jsonld',
+        'DELETE https://a.example/inbox/n1.jsonld'
+      ])
+      t.end()
+    })
+    .catch(t.end)
+})
@@ -0,0 +1,89 @@
+'use strict'
+
+const rdf = require('rdflib')
+const test = require('tape')
+
+var ContainerWalker = require('../../src/models/container-walker')
+var SolidContainer = require('../../src/models/container')
+var collect = require('../resources/helpers').collect
+
+function sampleContainer (uri, contentsUris) {
+  let container = new SolidContainer(rdf, uri)
+  container.contentsUris = contentsUris
+  return container
+}
+
+function sampleClient () {
+  let containers = {
+    'https://example.com/': sampleContainer('https://example.com/', [
+      'https://example.com/a.ttl', 'https://example.com/photos/', 'https://example.com/private/'
+    ]),
+    'https://example.com/photos/': sampleContainer('https://example.com/photos/', [
+      'https://example.com/photos/cat.jpg', 'https://example.com/' // cycle
+    ]),
+    'https://example.com/private/': sampleContainer('https://example.com/private/', [
+      'https://example.com/private/secret.ttl'
+    ])
+  }
+  return {
+    rdf: rdf,
+    requested: [],
+    get (url) {
+      this.requested.push(url)
+      return Promise.resolve({ resource: containers[url] })
+    }
+  }
+}
+
+test('ContainerWalker walks the whole tree, skipping cycles', t => {
+  let client = sampleClient()
+  collect(new ContainerWalker(client, 'https://example.com/'))
+    .then((items) => {
+      t.deepEqual(items.map((item) => item.uri).sort(), [
+        'https://example.com/',
+        'https://example.com/a.ttl',
+        'https://example.com/photos/',
+        'https://example.com/photos/cat.jpg',
+        'https://example.com/private/',
+        'https://example.com/private/secret.ttl'
+      ])
+      t.equal(client.requested.length, 3, 'Each container is fetched once')
+      t.ok(items[0].isContainer(), 'The root container is yielded first')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('ContainerWalker depth and filter options', t => {
+  let client = sampleClient()
+  let options = {
+    depth: 1,
+    filter: (resource) => resource.name !== 'private'
+  }
+  collect(new ContainerWalker(client, 'https://example.com/', options))
+    .then((items) => {
+      t.deepEqual(items.map((item) => item.uri).sort(), [
+        'https://example.com/',
+        'https://example.com/a.ttl',
+        'https://example.com/photos/'
+      ])
+      t.deepEqual(client.requested.sort(),
+        [ 'https://example.com/', 'https://example.com/photos/' ],
+        'Pruned containers should not be fetched')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('ContainerWalker rejects when a container cannot be fetched', t => {
+  let client = {
+    rdf: rdf,
+    get: () => Promise.reject(new Error('403'))
+  }
+  new ContainerWalker(client, 'https://example.com/').next()
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.equal(error.message, '403')
+      t.end()
+    })
+})
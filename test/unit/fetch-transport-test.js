@@ -0,0 +1,123 @@
+'use strict'
+/* global AbortController */
+
+var test = require('tape')
+var sinon = require('sinon')
+var FetchTransport = require('../../src/transports/fetch-transport')
+var SolidResponse = require('../../src/models/response')
+var AbortError = require('../../src/errors').AbortError
+
+function fakeFetchResponse (status, headers, body) {
+  return {
+    status: status,
+    statusText: 'OK',
+    url: 'https://example.com/doc.ttl',
+    headers: { get: (name) => headers[name.toLowerCase()] || null },
+    text: () => Promise.resolve(body),
+    arrayBuffer: () => Promise.resolve(Buffer.from(body).buffer)
+  }
+}
+
+test('FetchTransport sends requests with fetch()', t => {
+  let fetch = sinon.spy(() => {
+    let headers = { 'etag': '"v1"', 'link': '<doc.ttl.acl>; rel="acl"' }
+    return Promise.resolve(fakeFetchResponse(200, headers, 'body'))
+  })
+  let transport = new FetchTransport(fetch)
+  let request = {
+    method: 'PUT',
+    url: 'https://example.com/doc.ttl',
+    headers: { 'Content-Type': 'text/turtle' },
+    data: 'body',
+    withCredentials: true
+  }
+
+  transport.send(request)
+    .then((response) => {
+      let init = fetch.firstCall.args[1]
+      t.equal(fetch.firstCall.args[0], 'https://example.com/doc.ttl')
+      t.equal(init.method, 'PUT')
+      t.equal(init.body, 'body')
+      t.equal(init.credentials, 'include')
+
+      t.equal(response.status, 200)
+      t.equal(response.response, 'body')
+      t.equal(response.getResponseHeader('ETag'), '"v1"')
+
+      let solidResponse = new SolidResponse(null, response, 'PUT')
+      t.equal(solidResponse.url, 'https://example.com/doc.ttl')
+      t.equal(solidResponse.etag, '"v1"')
+      t.equal(solidResponse.aclAbsoluteUrl(), 'https://example.com/doc.ttl.acl')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('FetchTransport calls the global fetch() without a `this`', t => {
+  let originalFetch = global.fetch
+  // Like the native fetch() of browsers, which must not be called as a
+  // method of another object
+  global.fetch = function () {
+    if (this !== undefined && this !== global) {
+      return Promise.reject(new TypeError('Illegal invocation'))
+    }
+    return Promise.resolve(fakeFetchResponse(200, {}, 'body'))
+  }
+  let transport = new FetchTransport()
+  global.fetch = originalFetch
+
+  transport.send({ method: 'GET', url: 'https://example.com/doc.ttl' })
+    .then((response) => {
+      t.equal(response.status, 200)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('FetchTransport network errors', t => {
+  let transport = new FetchTransport(() => Promise.reject(new TypeError('Failed to fetch')))
+  transport.send({ method: 'GET', url: 'https://example.com/' })
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.equal(error.status, 0, 'Network errors have a status of 0')
+      t.equal(error.message, 'Failed to fetch')
+      t.end()
+    })
+})
+
+test('FetchTransport reads binary bodies', t => {
+  let fetch = () => Promise.resolve(fakeFetchResponse(200, {}, 'binary'))
+  let transport = new FetchTransport(fetch)
+
+  transport.send({ method: 'GET', url: 'https://example.com/a.png', responseType: 'arraybuffer' })
+    .then((response) => {
+      t.ok(response.response instanceof ArrayBuffer)
+      t.equal(response.responseText, null)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('FetchTransport aborts requests with a signal', t => {
+  if (typeof AbortController === 'undefined') {
+    t.skip('AbortController is not available')
+    return t.end()
+  }
+  let controller = new AbortController()
+  let fetch = (url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => {
+      let error = new Error('The operation was aborted')
+      error.name = 'AbortError'
+      reject(error)
+    })
+  })
+  let transport = new FetchTransport(fetch)
+
+  transport.send({ method: 'GET', url: 'https://example.com/', signal: controller.signal })
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.ok(error instanceof AbortError)
+      t.end()
+    })
+  controller.abort()
+})
@@ -0,0 +1,50 @@
+'use strict'
+
+var test = require('tape')
+var rdf = require('rdflib')
+var formats = require('../../src/formats')
+var UnsupportedFormatError = require('../../src/errors').UnsupportedFormatError
+
+test('normalizeMediaType() strips parameters and resolves aliases', t => {
+  t.equal(formats.normalizeMediaType('Text/Turtle; charset=UTF-8'), 'text/turtle')
+  t.equal(formats.normalizeMediaType('application/x-turtle'), 'text/turtle')
+  t.equal(formats.normalizeMediaType('application/nquads'), 'application/n-quads')
+  t.equal(formats.normalizeMediaType('image/png'), 'image/png')
+  t.equal(formats.normalizeMediaType(null), null)
+  t.end()
+})
+
+test('acceptHeader() lists the registered formats by preference', t => {
+  t.equal(formats.acceptHeader(),
+    'text/turtle,application/ld+json;q=0.9,application/n-triples;q=0.8,' +
+    'application/n-quads;q=0.7,text/n3;q=0.7,application/rdf+xml;q=0.6,*/*;q=0.5')
+  t.end()
+})
+
+test('register() and unregister() a format', t => {
+  let parse = (rdf, source, graph, baseUrl) => {
+    graph.add(rdf.sym(baseUrl), rdf.sym(baseUrl + '#says'), rdf.literal(source))
+  }
+  formats.register('text/x-test', { q: 0.1, aliases: [ 'text/x-test-alias' ], parse: parse })
+
+  let graph = rdf.graph()
+  formats.parse(rdf, 'hello', graph, 'https://example.com/', 'text/x-test-alias')
+  t.equal(graph.statements.length, 1)
+  t.ok(formats.acceptHeader().indexOf('text/x-test;q=0.1') !== -1)
+
+  formats.unregister('text/x-test')
+  t.notOk(formats.isSupported('text/x-test'))
+  t.notOk(formats.isSupported('text/x-test-alias'))
+  t.end()
+})
+
+test('parse() throws an UnsupportedFormatError for unknown types', t => {
+  try {
+    formats.parse(rdf, '', rdf.graph(), 'https://example.com/', 'application/x-unknown')
+    t.fail('should have thrown')
+  } catch (error) {
+    t.ok(error instanceof UnsupportedFormatError)
+    t.equal(error.contentType, 'application/x-unknown')
+  }
+  t.end()
+})
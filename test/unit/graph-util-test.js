@@ -0,0 +1,90 @@
+'use strict'
+
+var test = require('tape')
+var rdf = require('rdflib')
+var graphUtil = require('../../src/util/graph-util')
+
+var BASE = 'https://example.com/profile/card'
+
+function parse (source) {
+  return graphUtil.parseGraph(rdf, BASE, '@prefix : <#>.\n' + source, 'text/turtle')
+}
+
+test('diffGraphs() returns added and removed statements', function (t) {
+  let original = parse(':me :name "Old"; :age 30.')
+  let modified = parse(':me :name "New"; :age 30.')
+  let diff = graphUtil.diffGraphs(original, modified)
+
+  t.deepEqual(diff.removed.map((st) => st.toNT()),
+    [ '<' + BASE + '#me> <' + BASE + '#name> "Old" .' ])
+  t.deepEqual(diff.added.map((st) => st.toNT()),
+    [ '<' + BASE + '#me> <' + BASE + '#name> "New" .' ])
+  t.notOk(diff.hasBlankNodeChanges)
+  t.end()
+})
+
+test('diffGraphs() flags blank node changes', function (t) {
+  let original = parse(':me :address [ :city "Paris" ].')
+  let unchanged = rdf.graph()
+  let modified = rdf.graph()
+  graphUtil.appendGraph(unchanged, original)
+  graphUtil.appendGraph(modified, original)
+  let city = modified.statementsMatching(null, rdf.sym(BASE + '#city'))[0]
+  modified.remove(city)
+  modified.add(city.subject, city.predicate, rdf.literal('Lyon'))
+
+  t.notOk(graphUtil.diffGraphs(original, unchanged).hasBlankNodeChanges,
+    'Identical blank nodes are not changes')
+  let diff = graphUtil.diffGraphs(original, modified)
+  t.ok(diff.hasBlankNodeChanges)
+  t.equal(diff.added.length + diff.removed.length, 0,
+    'Blank node statements are left out of the patch lists')
+  t.end()
+})
+
+test('replaceIris() replaces resources, their fragments and container contents', function (t) {
+  let statements = parse(':me :knows <other#me>, <card.ttl#me>, <cardigan>; ' +
+    ':photo <photos/me.jpg>; :name "' + BASE + '".').statementsMatching(null)
+  let replaced = graphUtil.replaceIris(rdf, statements, [
+    [ BASE, 'https://example.org/card' ],
+    [ 'https://example.com/profile/photos/', 'https://example.org/photos/' ]
+  ])
+
+  t.deepEqual(replaced.map((st) => st.object.value).sort(), [
+    BASE,
+    'https://example.com/profile/card.ttl#me',
+    'https://example.com/profile/cardigan',
+    'https://example.com/profile/other#me',
+    'https://example.org/photos/me.jpg'
+  ], 'Only matching IRIs are replaced, not literals')
+  t.ok(replaced.every((st) => st.subject.value === 'https://example.org/card#me'))
+  t.ok(replaced.every((st) => st.predicate.value.indexOf('https://example.org/card#') === 0))
+  t.end()
+})
+
+test('serializeGraph() resolves relative IRIs against the document URL', function (t) {
+  let name = rdf.sym('http://xmlns.com/foaf/0.1/name')
+  let statements = [ rdf.st(rdf.sym('#me'), name, rdf.literal('Alice', 'en')) ]
+
+  t.equal(graphUtil.serializeGraph(rdf, statements, 'application/n-triples', BASE),
+    '<' + BASE + '#me> <http://xmlns.com/foaf/0.1/name> "Alice"@en .\n')
+
+  let turtle = graphUtil.serializeGraph(rdf, statements, 'text/turtle', BASE)
+  let roundTrip = parse(turtle)
+  t.equal(roundTrip.statementsMatching(rdf.sym(BASE + '#me'), name).length, 1,
+    'Turtle round-trips')
+
+  let jsonld = JSON.parse(graphUtil.serializeGraph(rdf, statements,
+    'application/ld+json', BASE))
+  t.deepEqual(jsonld, [ {
+    '@id': BASE + '#me',
+    'http://xmlns.com/foaf/0.1/name': [ { '@value': 'Alice', '@language': 'en' } ]
+  } ])
+  t.end()
+})
+
+test('serializeGraph() rejects formats without a serializer', function (t) {
+  t.throws(() => graphUtil.serializeGraph(rdf, [], 'image/png', BASE),
+    /Cannot serialize to RDF format: image\/png/)
+  t.end()
+})
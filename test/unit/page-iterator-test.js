@@ -0,0 +1,97 @@
+'use strict'
+
+const test = require('tape')
+
+var PageIterator = require('../../src/models/page-iterator')
+var collect = require('../resources/helpers').collect
+
+function samplePage (url, nextUrl) {
+  return {
+    url: url,
+    nextPageUrl: () => nextUrl
+  }
+}
+
+function sampleClient (pages) {
+  return {
+    requested: [],
+    get (url, options) {
+      this.requested.push({ url: url, options: options })
+      if (!pages[url]) {
+        return Promise.reject(new Error('Not found: ' + url))
+      }
+      return Promise.resolve(pages[url])
+    }
+  }
+}
+
+test('PageIterator follows the next page links', t => {
+  let client = sampleClient({
+    'https://example.com/c/': samplePage('https://example.com/c/', 'https://example.com/c/?p=2'),
+    'https://example.com/c/?p=2': samplePage('https://example.com/c/?p=2', 'https://example.com/c/?p=3'),
+    'https://example.com/c/?p=3': samplePage('https://example.com/c/?p=3', null)
+  })
+  let options = { headers: { 'Accept': 'text/turtle' } }
+  collect(new PageIterator(client, 'https://example.com/c/', options))
+    .then((pages) => {
+      t.deepEqual(pages.map((page) => page.url), [
+        'https://example.com/c/',
+        'https://example.com/c/?p=2',
+        'https://example.com/c/?p=3'
+      ])
+      t.equal(client.requested[1].options.headers['Accept'], 'text/turtle')
+      t.notEqual(client.requested[1].options.headers, options.headers,
+        'Each request should get its own copy of the headers')
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('PageIterator stops on cycles', t => {
+  let client = sampleClient({
+    'https://example.com/c/': samplePage('https://example.com/c/', 'https://example.com/c/?p=2'),
+    'https://example.com/c/?p=2': samplePage('https://example.com/c/?p=2', 'https://example.com/c/')
+  })
+  collect(new PageIterator(client, 'https://example.com/c/'))
+    .then((pages) => {
+      t.equal(pages.length, 2)
+      t.equal(client.requested.length, 2)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('PageIterator rejects on errors, and then is done', t => {
+  let client = sampleClient({
+    'https://example.com/c/': samplePage('https://example.com/c/', 'https://example.com/c/?p=2')
+  })
+  let pages = new PageIterator(client, 'https://example.com/c/')
+  pages.next()
+    .then(() => pages.next())
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.ok(error.message.indexOf('?p=2') !== -1)
+      return pages.next()
+    })
+    .then((result) => {
+      t.ok(result.done)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('PageIterator return() stops the iteration', t => {
+  let client = sampleClient({
+    'https://example.com/c/': samplePage('https://example.com/c/', 'https://example.com/c/?p=2')
+  })
+  let pages = new PageIterator(client, 'https://example.com/c/')
+  pages.next()
+    .then(() => pages.return())
+    .then(() => pages.next())
+    .then((result) => {
+      t.ok(result.done)
+      t.equal(client.requested.length, 1)
+      t.end()
+    })
+    .catch(t.end)
+})
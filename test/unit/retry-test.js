@@ -0,0 +1,113 @@
+'use strict'
+/* global AbortController */
+
+var test = require('tape')
+var sinon = require('sinon')
+var HttpError = require('standard-http-error')
+var retry = require('../../src/util/retry')
+var AbortError = require('../../src/errors').AbortError
+var solid = require('../../src/client')
+
+function errorWithHeaders (status, headers) {
+  let xhr = { getResponseHeader: (name) => headers[name] || null }
+  return new HttpError(status, { xhr: xhr })
+}
+
+test('isRetryable() test', t => {
+  let policy = { retryNonIdempotent: false }
+  t.ok(retry.isRetryable(new HttpError(503), 'GET', policy))
+  t.ok(retry.isRetryable(new HttpError(429), 'PUT', policy))
+  t.ok(retry.isRetryable({ status: 0 }, 'DELETE', policy), 'Network errors')
+  t.notOk(retry.isRetryable(new HttpError(404), 'GET', policy))
+  t.notOk(retry.isRetryable(new HttpError(503), 'POST', policy),
+    'Non-idempotent methods are not retried by default')
+  t.ok(retry.isRetryable(new HttpError(503), 'POST', { retryNonIdempotent: true }))
+  t.end()
+})
+
+test('retryDelay() test', t => {
+  let policy = { initialDelay: 100, maxDelay: 300 }
+  let delay = retry.retryDelay(1, policy)
+  t.ok(delay >= 50 && delay <= 100, 'First retry waits about initialDelay')
+  delay = retry.retryDelay(5, policy)
+  t.ok(delay >= 150 && delay <= 300, 'Backoff is capped at maxDelay')
+
+  let longPolicy = { initialDelay: 100, maxDelay: 300000 }
+  t.equal(retry.retryDelay(1, longPolicy, errorWithHeaders(429, { 'Retry-After': '120' })),
+    120000, 'Retry-After (in seconds) takes precedence')
+  let date = new Date(Date.now() + 60000).toUTCString()
+  delay = retry.retryDelay(1, longPolicy, errorWithHeaders(503, { 'Retry-After': date }))
+  t.ok(delay > 55000 && delay <= 60000, 'Retry-After as an HTTP date')
+  t.equal(retry.retryDelay(1, policy, errorWithHeaders(503, { 'Retry-After': '86400' })),
+    300, 'Retry-After is capped at maxDelay')
+  t.end()
+})
+
+test('solidRequest() retries transient errors', t => {
+  let onAttempt = sinon.spy()
+  let client = new solid.SolidWebClient(null, {
+    retry: { maxAttempts: 3, initialDelay: 1, onAttempt: onAttempt }
+  })
+  let response = {}
+  let results = [ new HttpError(503), new HttpError(0), response ]
+  client.sendRequest = sinon.spy(() => {
+    let result = results.shift()
+    return result instanceof HttpError
+      ? Promise.reject(result)
+      : Promise.resolve(result)
+  })
+
+  client.solidRequest('https://example.com/', 'GET')
+    .then((result) => {
+      t.equal(result, response)
+      t.equal(client.sendRequest.callCount, 3)
+      t.equal(onAttempt.callCount, 3, 'Each attempt is reported')
+      t.equal(onAttempt.firstCall.args[0].error.status, 503)
+      t.ok(onAttempt.firstCall.args[0].willRetry)
+      t.equal(onAttempt.thirdCall.args[0].error, null)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('solidRequest() gives up after maxAttempts', t => {
+  let client = new solid.SolidWebClient(null, {
+    retry: { maxAttempts: 2, initialDelay: 1 }
+  })
+  client.sendRequest = sinon.spy(() => Promise.reject(new HttpError(500)))
+
+  client.solidRequest('https://example.com/', 'PUT', { retry: { maxAttempts: 3 } })
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.equal(error.status, 500)
+      t.equal(client.sendRequest.callCount, 3, 'Request options override config')
+
+      client.sendRequest.reset()
+      return client.solidRequest('https://example.com/', 'POST')
+    })
+    .catch(() => {
+      t.equal(client.sendRequest.callCount, 1, 'POST is not retried')
+      t.end()
+    })
+})
+
+test('solidRequest() stops waiting between attempts when aborted', t => {
+  let controller = new AbortController()
+  let client = new solid.SolidWebClient(null, {
+    retry: { maxAttempts: 3, initialDelay: 30000, maxDelay: 30000 }
+  })
+  client.sendRequest = sinon.spy(() => {
+    setTimeout(() => controller.abort(), 10)
+    return Promise.reject(new HttpError(503))
+  })
+  let started = Date.now()
+
+  client.solidRequest('https://example.com/', 'GET', { signal: controller.signal })
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.ok(error instanceof AbortError)
+      t.ok(Date.now() - started < 1000, 'Rejects as soon as it is aborted')
+      t.equal(client.sendRequest.callCount, 1)
+      t.end()
+    })
+})
@@ -0,0 +1,164 @@
+'use strict'
+
+const rdf = require('rdflib')
+const test = require('tape')
+
+var SolidAcl = require('../../src/models/acl')
+var solid = require('../../src/client')
+
+var resourceUrl = 'https://localhost:8443/photos/'
+var aclUrl = 'https://localhost:8443/photos/.acl'
+var rawAclSource = require('../resources/acl-ttl')
+
+var ALICE = 'https://alice.example.com/profile/card#me'
+var BOB = 'https://bob.example.com/profile/card#me'
+var CAROL = 'https://carol.example.com/profile/card#me'
+var DAVE = 'https://dave.example.com/profile/card#me'
+
+function sampleGraph (source = rawAclSource) {
+  let graph = rdf.graph()
+  rdf.parse(source, graph, aclUrl, 'text/turtle')
+  return graph
+}
+
+function sampleAcl (source) {
+  return new SolidAcl(rdf, resourceUrl, aclUrl, sampleGraph(source))
+}
+
+function byId (acl, id) {
+  return acl.authorizations.find((auth) => auth.id === aclUrl + id)
+}
+
+test('SolidAcl parses authorizations', t => {
+  let acl = sampleAcl()
+  t.equal(acl.authorizations.length, 2)
+
+  let owner = byId(acl, '#owner')
+  t.deepEqual(owner.agents, [ ALICE ])
+  t.deepEqual(owner.modes.sort(), [ 'Control', 'Read', 'Write' ])
+  t.deepEqual(owner.accessTo, [ resourceUrl ])
+  t.deepEqual(owner.default, [ resourceUrl ])
+  t.notOk(owner.public)
+
+  let friends = byId(acl, '#friends')
+  t.deepEqual(friends.agents.sort(), [ BOB, CAROL ])
+  t.deepEqual(friends.agentGroups, [ 'https://alice.example.com/groups#friends' ])
+  t.deepEqual(friends.origins, [ 'https://app.example.com' ])
+  t.deepEqual(friends.default, [])
+  t.end()
+})
+
+test('SolidAcl grant()', t => {
+  let acl = sampleAcl()
+  acl.grant(ALICE, [ 'Append', 'Read' ])
+  t.equal(acl.authorizations.length, 2,
+    'Modes are added to the existing authorization of the agent')
+  t.deepEqual(byId(acl, '#owner').modes.sort(), [ 'Append', 'Control', 'Read', 'Write' ])
+
+  acl.grant(DAVE, [ 'Read' ])
+  let daveAuth = acl.findByAgent(DAVE)[0]
+  t.deepEqual(daveAuth.modes, [ 'Read' ])
+  t.deepEqual(daveAuth.default, [ resourceUrl ], 'Containers grant default access')
+  t.end()
+})
+
+test('SolidAcl revoke()', t => {
+  let acl = sampleAcl()
+  acl.revoke(BOB, [ 'Append' ])
+  let friends = byId(acl, '#friends')
+  t.deepEqual(friends.agents, [ CAROL ], 'Agent is taken out of shared authorizations')
+  let bobAuths = acl.findByAgent(BOB)
+  t.equal(bobAuths.length, 1)
+  t.deepEqual(bobAuths[0].modes, [ 'Read' ], 'Remaining modes are kept')
+  t.deepEqual(bobAuths[0].origins, [ 'https://app.example.com' ])
+
+  acl.revoke(BOB)
+  t.equal(acl.findByAgent(BOB).length, 0)
+  t.end()
+})
+
+test('SolidAcl setPublic()', t => {
+  let acl = sampleAcl()
+  acl.setPublic([ 'Read' ])
+  let publicAuths = acl.authorizations.filter((auth) => auth.public)
+  t.equal(publicAuths.length, 1)
+  t.deepEqual(publicAuths[0].modes, [ 'Read' ])
+
+  acl.setPublic([])
+  t.equal(acl.authorizations.filter((auth) => auth.public).length, 0)
+  t.equal(acl.authorizations.length, 2)
+  t.end()
+})
+
+test('SolidAcl serialize() round trip', t => {
+  let acl = sampleAcl()
+  acl.grant(DAVE, [ 'Read' ]).setPublic([ 'Read' ])
+  let reparsed = sampleAcl(acl.serialize())
+
+  t.equal(reparsed.authorizations.length, 4)
+  t.deepEqual(byId(reparsed, '#owner'), byId(acl, '#owner'))
+  t.deepEqual(reparsed.findByAgent(DAVE)[0].modes, [ 'Read' ])
+  t.ok(reparsed.authorizations.some((auth) => auth.public))
+  t.end()
+})
+
+test('SolidAcl serialize() keeps the statements it does not model', t => {
+  let acl = sampleAcl(rawAclSource + `
+<#members>
+    a acl:Authorization;
+    acl:agentClass <https://alice.example.com/groups#Member>;
+    acl:accessTo <./>;
+    acl:defaultForNew <./>;
+    acl:mode acl:Read;
+    <http://www.w3.org/2000/01/rdf-schema#comment> "Members of the \\"club\\"".
+
+<https://alice.example.com/groups#Member> a <http://www.w3.org/2000/01/rdf-schema#Class>.
+`)
+  acl.grant(DAVE, [ 'Read' ])
+  let reparsed = sampleAcl(acl.serialize())
+
+  let members = byId(reparsed, '#members')
+  t.deepEqual(members, byId(acl, '#members'))
+  t.deepEqual(members.agentClasses, [ 'https://alice.example.com/groups#Member' ])
+  t.deepEqual(members.defaultForNew, [ resourceUrl ])
+  t.deepEqual(members.default, [], 'acl:defaultForNew is not turned into acl:default')
+  t.deepEqual(members.otherStatements.map((st) => st.object.value),
+    [ 'Members of the "club"' ])
+  t.deepEqual(reparsed.otherStatements.map((st) => st.toNT()), [
+    '<https://alice.example.com/groups#Member> ' +
+      '<http://www.w3.org/1999/02/22-rdf-syntax-ns#type> ' +
+      '<http://www.w3.org/2000/01/rdf-schema#Class> .'
+  ])
+
+  reparsed.revoke(BOB)
+  reparsed.removeEmptyAuthorizations()
+  t.ok(byId(reparsed, '#members'),
+    'Authorizations for other agent classes are not empty')
+  t.end()
+})
+
+test('getAcl() and saveAcl()', t => {
+  let client = solid(rdf)
+  let aclResponse = { etag: '"acl-v1"', parsedGraph: () => sampleGraph() }
+  client.head = () => Promise.resolve({ url: resourceUrl, aclAbsoluteUrl: () => aclUrl })
+  client.get = () => Promise.resolve(aclResponse)
+  let putArgs
+  client.put = function () {
+    putArgs = arguments
+    return Promise.resolve()
+  }
+
+  client.getAcl(resourceUrl)
+    .then((acl) => {
+      t.equal(acl.url, aclUrl)
+      t.equal(acl.authorizations.length, 2)
+      return client.saveAcl(acl.setPublic([ 'Read' ]))
+    })
+    .then(() => {
+      t.equal(putArgs[0], aclUrl)
+      t.equal(putArgs[2], 'text/turtle')
+      t.equal(putArgs[3].ifMatch, '"acl-v1"', 'Saving is conditional on the ETag')
+      t.end()
+    })
+    .catch(t.end)
+})
@@ -0,0 +1,102 @@
+'use strict'
+
+const rdf = require('rdflib')
+const test = require('tape')
+
+var SolidProfile = require('../../src/models/profile')
+var solid = require('../../src/client')
+var helpers = require('../resources/helpers')
+
+var webId = 'https://alice.example.com/profile/card#me'
+var profileUrl = 'https://alice.example.com/profile/card'
+var rawProfileSource = require('../resources/profile-ttl')
+
+var SOLID = 'http://www.w3.org/ns/solid/terms#'
+
+function sampleGraph () {
+  let graph = rdf.graph()
+  rdf.parse(rawProfileSource, graph, profileUrl, 'text/turtle')
+  return graph
+}
+
+test('SolidProfile extracts the profile values', t => {
+  let profile = new SolidProfile(rdf, webId, sampleGraph())
+  t.equal(profile.name, 'Alice')
+  t.deepEqual(profile.storage, [ 'https://alice.example.com/' ])
+  t.equal(profile.inbox, 'https://alice.example.com/inbox/')
+  t.deepEqual(profile.oidcIssuers, [ 'https://idp.example.com' ])
+  t.equal(profile.publicTypeIndex,
+    'https://alice.example.com/settings/publicTypeIndex.ttl')
+  t.equal(profile.privateTypeIndex, null)
+  t.deepEqual(profile.sameAs, [ 'https://alice.example.org/card#i' ])
+  t.deepEqual(profile.linkedDocuments(), [
+    'https://alice.example.org/card',
+    'https://alice.example.com/profile/extended.ttl',
+    'https://alice.example.com/settings/prefs.ttl'
+  ])
+  t.end()
+})
+
+test('SolidProfile of an empty graph', t => {
+  let profile = new SolidProfile(rdf, webId)
+  t.equal(profile.name, null)
+  t.deepEqual(profile.storage, [])
+  t.deepEqual(profile.linkedDocuments(), [])
+  t.end()
+})
+
+function fakeTransport (documents) {
+  return helpers.fakeTransport((request) => {
+    let body = documents[request.url]
+    let status = typeof body === 'string' ? 200 : 401
+    return helpers.withUrl(request.url,
+      helpers.fakeXhr(status, { 'Content-Type': 'text/turtle' }, body || ''))
+  })
+}
+
+test('getProfile() merges the extended profile documents', t => {
+  let transport = fakeTransport({
+    'https://alice.example.com/profile/card': rawProfileSource,
+    'https://alice.example.com/profile/extended.ttl':
+      '<card#me> <http://xmlns.com/foaf/0.1/nick> "al" .',
+    'https://alice.example.org/card':
+      '<#i> <' + SOLID + 'oidcIssuer> <https://idp.example.org> ;\n' +
+      '  <http://www.w3.org/2000/01/rdf-schema#seeAlso> <more.ttl> .',
+    'https://alice.example.org/more.ttl':
+      '<card#i> <' + SOLID + 'privateTypeIndex> <private.ttl> .'
+    // The preferences file is private (401)
+  })
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.getProfile(webId)
+    .then((profile) => {
+      t.ok(profile instanceof solid.SolidProfile)
+      t.deepEqual(profile.oidcIssuers,
+        [ 'https://idp.example.com', 'https://idp.example.org' ])
+      t.equal(profile.privateTypeIndex, 'https://alice.example.org/private.ttl',
+        'Links in the extended documents should be followed')
+      t.ok(profile.graph.any(rdf.sym(webId), rdf.sym('http://xmlns.com/foaf/0.1/nick')))
+      t.deepEqual(profile.documents, [
+        'https://alice.example.com/profile/card',
+        'https://alice.example.org/card',
+        'https://alice.example.com/profile/extended.ttl',
+        'https://alice.example.org/more.ttl'
+      ])
+      t.equal(transport.requests.length, 5)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('getProfile() depth option', t => {
+  let transport = fakeTransport({
+    'https://alice.example.com/profile/card': rawProfileSource
+  })
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.getProfile(webId, { depth: 0 })
+    .then((profile) => {
+      t.equal(profile.name, 'Alice')
+      t.deepEqual(transport.requests.map((request) => request.url), [ profileUrl ])
+      t.end()
+    })
+    .catch(t.end)
+})
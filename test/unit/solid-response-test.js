@@ -58,6 +58,21 @@ test('SolidResponse metaAbsoluteUrl() test', t => {
   t.end()
 })
 
+test('SolidResponse nextPageUrl() test', t => {
+  let response = new SolidResponse()
+  t.equal(response.nextPageUrl(), null,
+    'nextPageUrl() for an empty/new response should be null')
+
+  response = new SolidResponse()
+  response.url = 'https://example.com/archive/'
+  response.linkHeaders = { next: [ '?page=2' ] }
+  t.equal(response.nextPageUrl(), 'https://example.com/archive/?page=2')
+
+  response.linkHeaders = { next: [ 'https://example.com/archive/?page=3' ] }
+  t.equal(response.nextPageUrl(), 'https://example.com/archive/?page=3')
+  t.end()
+})
+
 test('SolidResonse full IRI based on Location header', t => {
   let stub = sinon.stub()
   stub.withArgs('Link').returns(null)
@@ -93,3 +108,71 @@ test('SolidResonse ignore parameter in Content-Type header', t => {
 
   t.end()
 })
+
+test('SolidResponse etag and lastModified', t => {
+  let stub = sinon.stub()
+  stub.withArgs('ETag').returns('W/"1234"')
+  stub.withArgs('Last-Modified').returns('Wed, 21 Oct 2015 07:28:00 GMT')
+  let xhr = { getResponseHeader: stub, responseURL: 'https://foo.example/' }
+  let response = new SolidResponse(null, xhr, 'PUT')
+  t.equal(response.etag, 'W/"1234"')
+  t.equal(response.lastModified.toISOString(), '2015-10-21T07:28:00.000Z')
+
+  response = new SolidResponse(null, { getResponseHeader: sinon.stub() }, 'PUT')
+  t.equal(response.etag, null)
+  t.equal(response.lastModified, null)
+  t.end()
+})
+
+test('SolidResponse body accessors', t => {
+  let bytes = new Uint8Array([ 0x25, 0x50, 0x44, 0x46, 0xff ])
+  let xhr = {
+    status: 200,
+    response: bytes.buffer,
+    responseURL: 'https://example.com/doc.pdf',
+    getResponseHeader: (name) => name === 'Content-Type' ? 'application/pdf' : null
+  }
+  let response = new SolidResponse(null, xhr, 'GET')
+  t.notOk(response.resource, 'Binary responses are not parsed')
+
+  response.arrayBuffer()
+    .then((buffer) => {
+      t.deepEqual(Array.from(new Uint8Array(buffer)), Array.from(bytes))
+      let jsonXhr = Object.assign({}, xhr, { response: '{"a": 1}' })
+      return new SolidResponse(null, jsonXhr, 'GET').json()
+    })
+    .then((json) => {
+      t.deepEqual(json, { a: 1 })
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('SolidResponse parses N-Triples and JSON-LD', t => {
+  let rdf = require('rdflib')
+  let fakeXhr = (contentType, body) => ({
+    status: 200,
+    response: body,
+    responseURL: 'https://example.com/profile',
+    getResponseHeader: (name) => name === 'Content-Type' ? contentType : null
+  })
+
+  let ntriples = new SolidResponse(rdf, fakeXhr('application/n-triples; charset=utf-8',
+    '<https://example.com/profile#me> <http://xmlns.com/foaf/0.1/name> "Alice" .\n'), 'GET')
+  t.equal(ntriples.resource.parsedGraph.statements.length, 1)
+
+  let jsonld = new SolidResponse(rdf, fakeXhr('application/ld+json', JSON.stringify({
+    '@id': 'https://example.com/profile#me',
+    'http://xmlns.com/foaf/0.1/name': 'Alice'
+  })), 'GET')
+  t.equal(jsonld.resource, null, 'JSON-LD is parsed asynchronously')
+
+  jsonld.load()
+    .then((response) => {
+      t.equal(response, jsonld)
+      t.equal(response.resource.parsedGraph.statements.length, 1)
+      t.equal(response.parsedGraph().statements.length, 1)
+      t.end()
+    })
+    .catch(t.end)
+})
@@ -0,0 +1,126 @@
+'use strict'
+
+const rdf = require('rdflib')
+const test = require('tape')
+
+var SolidTypeIndex = require('../../src/models/type-index')
+var solid = require('../../src/client')
+var helpers = require('../resources/helpers')
+
+var webId = 'https://alice.example.com/profile/card#me'
+var indexUrl = 'https://alice.example.com/settings/publicTypeIndex.ttl'
+var privateIndexUrl = 'https://alice.example.com/settings/privateTypeIndex.ttl'
+var rawIndexSource = require('../resources/type-index-ttl')
+
+var BOOKMARK = 'http://www.w3.org/2002/01/bookmark#Bookmark'
+var ADDRESS_BOOK = 'http://www.w3.org/2006/vcard/ns#AddressBook'
+var SOLID = 'http://www.w3.org/ns/solid/terms#'
+
+function sampleIndex () {
+  let graph = rdf.graph()
+  rdf.parse(rawIndexSource, graph, indexUrl, 'text/turtle')
+  return new SolidTypeIndex(rdf, indexUrl, graph)
+}
+
+function fakeTransport (documents) {
+  return helpers.fakeTransport((request) => {
+    let body = request.method === 'GET' ? documents[request.url] : ''
+    let status = request.method === 'GET' ? (body ? 200 : 404) : 201
+    return helpers.withUrl(request.url,
+      helpers.fakeXhr(status, { 'Content-Type': 'text/turtle' }, body || ''))
+  })
+}
+
+test('SolidTypeIndex parses the registrations', t => {
+  let index = sampleIndex()
+  t.ok(index.exists)
+  t.equal(index.isPublic, true)
+  t.equal(index.registrations.length, 2)
+  t.deepEqual(index.findByClass(BOOKMARK), {
+    instances: [],
+    instanceContainers: [ 'https://alice.example.com/bookmarks/' ]
+  })
+  t.deepEqual(index.findByClass(ADDRESS_BOOK), {
+    instances: [ 'https://alice.example.com/contacts/index.ttl' ],
+    instanceContainers: []
+  })
+  t.end()
+})
+
+test('SolidTypeIndex new registrations, and serialize()', t => {
+  let index = new SolidTypeIndex(rdf, indexUrl)
+  index.isPublic = false
+  let registration = index.newRegistration(BOOKMARK,
+    'https://alice.example.com/bookmarks/', true)
+  t.equal(registration.id, indexUrl + '#registration1')
+  t.deepEqual(index.registrationPatterns(registration)[2], [
+    '<' + indexUrl + '#registration1>', '<' + SOLID + 'instanceContainer>',
+    '<https://alice.example.com/bookmarks/>'
+  ])
+
+  let graph = rdf.graph()
+  rdf.parse(index.serialize(), graph, indexUrl, 'text/turtle')
+  let parsed = new SolidTypeIndex(rdf, indexUrl, graph)
+  t.equal(parsed.isPublic, false)
+  t.deepEqual(parsed.registrations, index.registrations)
+  t.end()
+})
+
+test('findTypeRegistrations() reads the public and private type indexes', t => {
+  let transport = fakeTransport({
+    'https://alice.example.com/profile/card':
+      '<#me> <' + SOLID + 'publicTypeIndex> <' + indexUrl + '> ;\n' +
+      '  <' + SOLID + 'privateTypeIndex> <' + privateIndexUrl + '> .',
+    [privateIndexUrl]: '<#b> a <' + SOLID + 'TypeRegistration> ;\n' +
+      '  <' + SOLID + 'forClass> <' + BOOKMARK + '> ;\n' +
+      '  <' + SOLID + 'instance> </private/bookmarks.ttl> .',
+    [indexUrl]: rawIndexSource
+  })
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.findTypeRegistrations(webId, BOOKMARK)
+    .then((result) => {
+      t.deepEqual(result, {
+        instances: [ 'https://alice.example.com/private/bookmarks.ttl' ],
+        instanceContainers: [ 'https://alice.example.com/bookmarks/' ]
+      })
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('registerType() patches an existing type index', t => {
+  let transport = fakeTransport({})
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  let index = sampleIndex()
+  client.registerType(index, BOOKMARK, 'https://alice.example.com/links.ttl',
+    { patchFormat: 'application/sparql-update' })
+    .then((registration) => {
+      let request = transport.requests[0]
+      t.equal(request.method, 'PATCH')
+      t.equal(request.url, indexUrl)
+      t.ok(request.data.indexOf('<' + SOLID + 'instance> ' +
+        '<https://alice.example.com/links.ttl> .') !== -1)
+      t.deepEqual(registration.instances, [ 'https://alice.example.com/links.ttl' ])
+      t.equal(index.findByClass(BOOKMARK).instances.length, 1)
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('registerType() creates a missing type index', t => {
+  let transport = fakeTransport({})
+  let client = new solid.SolidWebClient(rdf, { transport: transport })
+  client.registerType(indexUrl, BOOKMARK, 'https://alice.example.com/bookmarks/')
+    .then((registration) => {
+      t.deepEqual(transport.requests.map((request) => request.method),
+        [ 'GET', 'PUT' ])
+      let request = transport.requests[1]
+      t.equal(request.headers['If-None-Match'], '*')
+      t.ok(request.data.indexOf('solid:instanceContainer ' +
+        '<https://alice.example.com/bookmarks/>') !== -1)
+      t.deepEqual(registration.instanceContainers,
+        [ 'https://alice.example.com/bookmarks/' ])
+      t.end()
+    })
+    .catch(t.end)
+})
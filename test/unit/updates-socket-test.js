@@ -0,0 +1,114 @@
+'use strict'
+
+var test = require('tape')
+var sinon = require('sinon')
+var UpdatesSocket = require('../../src/updates-socket')
+var solid = require('../../src/client')
+
+function FakeWebSocket (url) {
+  this.url = url
+  this.sent = []
+  this.readyState = 0
+  FakeWebSocket.instances.push(this)
+}
+FakeWebSocket.instances = []
+FakeWebSocket.prototype.send = function (data) { this.sent.push(data) }
+FakeWebSocket.prototype.close = function () { this.readyState = 3 }
+FakeWebSocket.prototype.open = function () {
+  this.readyState = 1
+  this.onopen()
+}
+
+test('UpdatesSocket subscribes and dispatches pub messages', t => {
+  FakeWebSocket.instances = []
+  let updates = new UpdatesSocket('wss://example.com/', FakeWebSocket)
+  let onDoc = sinon.spy()
+  let onOther = sinon.spy()
+
+  updates.subscribe('https://example.com/doc', onDoc)
+  updates.subscribe('https://example.com/other', onOther)
+  t.equal(FakeWebSocket.instances.length, 1, 'A single socket is opened')
+
+  let socket = FakeWebSocket.instances[0]
+  socket.open()
+  t.deepEqual(socket.sent, [ 'sub https://example.com/doc', 'sub https://example.com/other' ])
+
+  socket.onmessage({ data: 'pub https://example.com/doc' })
+  t.ok(onDoc.calledWith('https://example.com/doc'))
+  t.notOk(onOther.called)
+
+  updates.subscribe('https://example.com/third', () => {})
+  t.equal(socket.sent[2], 'sub https://example.com/third',
+    'New subscriptions are sent right away when connected')
+  t.end()
+})
+
+test('UpdatesSocket reconnects and resubscribes', t => {
+  FakeWebSocket.instances = []
+  let updates = new UpdatesSocket('wss://example.com/', FakeWebSocket,
+    { initialDelay: 1 })
+  updates.subscribe('https://example.com/doc', () => {})
+  FakeWebSocket.instances[0].open()
+  FakeWebSocket.instances[0].onclose()
+
+  updates.once('open', () => {
+    let socket = FakeWebSocket.instances[1]
+    t.deepEqual(socket.sent, [ 'sub https://example.com/doc' ])
+    updates.close()
+    t.end()
+  })
+  setTimeout(() => FakeWebSocket.instances[1].open(), 20)
+})
+
+test('UpdatesSocket unsubscribe handle', t => {
+  FakeWebSocket.instances = []
+  let updates = new UpdatesSocket('wss://example.com/', FakeWebSocket)
+  let callback = sinon.spy()
+  let unsubscribe = updates.subscribe('https://example.com/doc', callback)
+  let socket = FakeWebSocket.instances[0]
+  socket.open()
+
+  unsubscribe()
+  t.equal(socket.readyState, 3, 'Socket is closed when nothing is subscribed')
+  socket.onmessage({ data: 'pub https://example.com/doc' })
+  t.notOk(callback.called)
+  t.end()
+})
+
+test('client.subscribe() reuses one socket per server', t => {
+  FakeWebSocket.instances = []
+  let client = new solid.SolidWebClient(null, { WebSocket: FakeWebSocket })
+  client.head = (url) => Promise.resolve({ url: url, websocket: 'wss://example.com/' })
+
+  Promise.all([
+    client.subscribe('https://example.com/a', () => {}),
+    client.subscribe('https://example.com/b', () => {})
+  ])
+    .then((handles) => {
+      t.equal(typeof handles[0], 'function')
+      t.equal(FakeWebSocket.instances.length, 1)
+      handles.forEach((unsubscribe) => unsubscribe())
+      t.end()
+    })
+    .catch(t.end)
+})
+
+test('client.subscribe() falls back to the global WebSocket', t => {
+  FakeWebSocket.instances = []
+  let previousWebSocket = global.WebSocket
+  global.WebSocket = FakeWebSocket
+  let client = new solid.SolidWebClient()
+  client.head = (url) => Promise.resolve({ url: url, websocket: 'wss://example.com/' })
+
+  client.subscribe('https://example.com/a', () => {})
+    .then((unsubscribe) => {
+      global.WebSocket = previousWebSocket
+      t.equal(FakeWebSocket.instances.length, 1)
+      unsubscribe()
+      t.end()
+    })
+    .catch((error) => {
+      global.WebSocket = previousWebSocket
+      t.end(error)
+    })
+})
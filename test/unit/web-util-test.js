@@ -1,7 +1,9 @@
 'use strict'
 
 var test = require('tape')
+var rdf = require('rdflib')
 var webUtil = require('../../src/util/web-util')
+var InvalidPatchError = require('../../src/errors').InvalidPatchError
 
 test('web-util.composePatchQuery() test', function (t) {
   let toDelLinks = [
@@ -95,3 +97,147 @@ test('hostname() test', function (t) {
   t.equal(hostname('https://example.com/dir1/dir2/#me?k=v'), 'https://example.com')
   t.end()
 })
+
+test('parentUrl() and resourceName() test', function (t) {
+  t.equal(webUtil.parentUrl('https://example.com/a/b'), 'https://example.com/a/')
+  t.equal(webUtil.parentUrl('https://example.com/a/b/'), 'https://example.com/a/')
+  t.equal(webUtil.resourceName('https://example.com/a/b.ttl'), 'b.ttl')
+  t.equal(webUtil.resourceName('https://example.com/a/b/'), 'b')
+  t.end()
+})
+
+test('parseCacheControl() test', function (t) {
+  t.deepEqual(webUtil.parseCacheControl(), {})
+  t.deepEqual(webUtil.parseCacheControl('private, Max-Age=60, no-cache'), {
+    'private': true,
+    'max-age': '60',
+    'no-cache': true
+  })
+  t.end()
+})
+
+test('composePreferHeader() and parsePreferHeader() test', function (t) {
+  let ldp = 'http://www.w3.org/ns/ldp#'
+  t.equal(webUtil.composePreferHeader(), null)
+  t.equal(webUtil.composePreferHeader('PreferMinimalContainer'),
+    'return=representation; include="' + ldp + 'PreferMinimalContainer"')
+  t.equal(webUtil.composePreferHeader(null,
+    [ 'PreferContainment', 'http://example.com/ns#PreferOther' ]),
+    'return=representation; omit="' + ldp + 'PreferContainment ' +
+    'http://example.com/ns#PreferOther"')
+
+  t.equal(webUtil.parsePreferHeader(''), null)
+  t.deepEqual(webUtil.parsePreferHeader('return=representation; ' +
+    'include="' + ldp + 'PreferMinimalContainer  ' + ldp + 'PreferMembership"'), {
+      'return': 'representation',
+      include: [ ldp + 'PreferMinimalContainer', ldp + 'PreferMembership' ],
+      omit: []
+    })
+  t.end()
+})
+
+test('web-util.composeN3Patch() test', function (t) {
+  let toDel = [ '<#me> <#name> "Old" .' ]
+  let toIns = [ '<#me> <#name> "New" .' ]
+  let expectedPatch = '@prefix solid: <http://www.w3.org/ns/solid/terms#>.\n' +
+    '_:patch a solid:InsertDeletePatch;\n' +
+    '  solid:deletes { <#me> <#name> "Old" . };\n' +
+    '  solid:inserts { <#me> <#name> "New" . }.\n'
+  t.equal(webUtil.composeN3Patch(toDel, toIns), expectedPatch)
+
+  t.equal(webUtil.composeN3Patch([], toIns),
+    '@prefix solid: <http://www.w3.org/ns/solid/terms#>.\n' +
+    '_:patch a solid:InsertDeletePatch;\n' +
+    '  solid:inserts { <#me> <#name> "New" . }.\n')
+  t.end()
+})
+
+test('parseAcceptPatch() test', function (t) {
+  t.deepEqual(webUtil.parseAcceptPatch(), [])
+  t.deepEqual(webUtil.parseAcceptPatch('application/sparql-update, text/n3; charset=utf-8'),
+    [ 'application/sparql-update', 'text/n3' ])
+  t.deepEqual(webUtil.parseAllowedMethods(null, 'text/n3'), { patch: true },
+    'N3 Patch servers allow PATCH')
+  t.end()
+})
+
+test('composePatchQuery() with a where clause and variables', function (t) {
+  let name = '<http://xmlns.com/foaf/0.1/name>'
+  let toDel = [ [ '<#me>', name, '?name' ] ]
+  let toIns = [ { subject: '<#me>', predicate: name, object: '"Alice"@en' } ]
+  let where = [ [ '<#me>', name, '?name' ] ]
+
+  t.equal(webUtil.composePatchQuery(toDel, toIns, where),
+    'DELETE { <#me> ' + name + ' ?name . }\n' +
+    'INSERT { <#me> ' + name + ' "Alice"@en . }\n' +
+    'WHERE { <#me> ' + name + ' ?name . }\n')
+  t.equal(webUtil.composeN3Patch(toDel, [], where),
+    '@prefix solid: <http://www.w3.org/ns/solid/terms#>.\n' +
+    '_:patch a solid:InsertDeletePatch;\n' +
+    '  solid:where { <#me> ' + name + ' ?name . };\n' +
+    '  solid:deletes { <#me> ' + name + ' ?name . }.\n')
+  t.end()
+})
+
+test('composePatchQuery() finds variables and blank nodes in terms, not literals', function (t) {
+  let name = '<http://xmlns.com/foaf/0.1/name>'
+  let note = '<http://www.w3.org/2000/01/rdf-schema#comment>'
+
+  t.equal(webUtil.composePatchQuery([], [ [ '<#me>', note, '"who is ?name here"' ] ]),
+    'INSERT DATA { <#me> ' + note + ' "who is ?name here" . };\n')
+  t.equal(webUtil.composePatchQuery([ [ '<#me>', note, '"see _:x"' ] ], []),
+    'DELETE DATA { <#me> ' + note + ' "see _:x" . };\n')
+  t.equal(webUtil.composePatchQuery([ rdf.st(rdf.sym('https://example.com/#me'),
+    rdf.sym('http://xmlns.com/foaf/0.1/nick'), rdf.literal('?nick _:nick')) ], []),
+    'DELETE DATA { <https://example.com/#me> <http://xmlns.com/foaf/0.1/nick> ' +
+      '"?nick _:nick" . };\n', 'Statements are checked term by term too')
+  t.throws(() => webUtil.composePatchQuery([ [ '<#me>', name, '?name' ] ], [],
+    [ [ '<#me>', note, '"?name"' ] ]), InvalidPatchError,
+    'A literal in the where clause does not bind a variable')
+  t.end()
+})
+
+test('composePatchQuery() rejects malformed triple patterns', function (t) {
+  let checkInvalid = (toDel, toIns, where, message) => {
+    t.throws(() => webUtil.composePatchQuery(toDel, toIns, where),
+      InvalidPatchError, message)
+  }
+  checkInvalid([], [ [ '<#a>', '<#b>' ] ], null, 'Missing object')
+  checkInvalid([], [ [ '"a"', '<#b>', '<#c>' ] ], null, 'Literal subject')
+  checkInvalid([], [ [ '<#a>', '_:b', '<#c>' ] ], null, 'Blank node predicate')
+  checkInvalid([], [ [ '<#a>', '<#b>', 'c' ] ], null, 'Bare word object')
+  checkInvalid([], [ [ '<#a>', '<#b>', '?c' ] ], null, 'Variable without where')
+  checkInvalid([ [ '<#a>', '<#b>', '?c' ] ], [], [ [ '<#a>', '<#b>', '?d' ] ],
+    'Variable not bound by the where clause')
+  checkInvalid([ [ '_:a', '<#b>', '<#c>' ] ], [], null, 'Deleting a blank node')
+  checkInvalid([], [], [ [ '<#a>', '<#b>', '?c' ] ], 'Where clause without changes')
+  checkInvalid([ [ '<#a>', '<#b>', '$c' ] ], [], [ [ '<#a>', '<#b>', '$c' ] ],
+    'Variables written with a $ (not valid in N3 Patch)')
+
+  try {
+    webUtil.composePatchQuery([], [ [ '<#a>', '<#b>', 'c' ] ])
+  } catch (error) {
+    t.deepEqual(error.pattern, [ '<#a>', '<#b>', 'c' ],
+      'The error holds the offending pattern')
+  }
+  t.end()
+})
+
+test('resolvePatternIris() test', function (t) {
+  let base = 'https://example.com/photos/cat.jpg'
+  t.deepEqual(webUtil.resolvePatternIris(
+    [ '<>', '<http://purl.org/dc/terms/license>', '<#license>' ], base), [
+      '<https://example.com/photos/cat.jpg>',
+      '<http://purl.org/dc/terms/license>',
+      '<https://example.com/photos/cat.jpg#license>'
+    ])
+  t.deepEqual(webUtil.resolvePatternIris(
+    { subject: '<>', predicate: '<http://purl.org/dc/terms/title>', object: '"Cat"' },
+    base), {
+      subject: '<https://example.com/photos/cat.jpg>',
+      predicate: '<http://purl.org/dc/terms/title>',
+      object: '"Cat"'
+    })
+  t.equal(webUtil.resolvePatternIris('<> <#a> <#b> .', base), '<> <#a> <#b> .')
+  t.end()
+})
@@ -0,0 +1,88 @@
+'use strict'
+
+var test = require('tape')
+var sinon = require('sinon')
+var XhrTransport = require('../../src/transports/xhr-transport')
+var AbortError = require('../../src/errors').AbortError
+
+function fakeSignal () {
+  let listeners = []
+  return {
+    aborted: false,
+    listeners: listeners,
+    addEventListener: (type, listener) => { listeners.push(listener) },
+    removeEventListener: (type, listener) => {
+      listeners.splice(listeners.indexOf(listener), 1)
+    },
+    abort () {
+      this.aborted = true
+      listeners.slice().forEach((listener) => listener())
+    }
+  }
+}
+
+function fakeXhrClass () {
+  class FakeXhr {
+    constructor () {
+      this.upload = {}
+      this.headers = {}
+      FakeXhr.instances.push(this)
+    }
+    open (method, url) {}
+    setRequestHeader (name, value) { this.headers[name] = value }
+    send (data) { this.data = data }
+    abort () { this.onabort() }
+    respond (status) {
+      this.status = status
+      this.onload()
+    }
+  }
+  FakeXhr.instances = []
+  return FakeXhr
+}
+
+test('XhrTransport reports upload and download progress', t => {
+  let FakeXhr = fakeXhrClass()
+  let onUploadProgress = sinon.spy()
+  let onDownloadProgress = sinon.spy()
+  let transport = new XhrTransport(FakeXhr)
+
+  transport.send({ method: 'PUT', url: 'https://example.com/a.png', data: 'data',
+    onUploadProgress: onUploadProgress, onDownloadProgress: onDownloadProgress })
+    .then((xhr) => {
+      t.deepEqual(onUploadProgress.firstCall.args[0],
+        { loaded: 50, total: 100, lengthComputable: true })
+      t.deepEqual(onDownloadProgress.firstCall.args[0],
+        { loaded: 10, total: null, lengthComputable: false })
+      t.equal(xhr.status, 201)
+      t.end()
+    })
+    .catch(t.end)
+
+  let xhr = FakeXhr.instances[0]
+  xhr.upload.onprogress({ loaded: 50, total: 100, lengthComputable: true })
+  xhr.onprogress({ loaded: 10, total: 0, lengthComputable: false })
+  xhr.respond(201)
+})
+
+test('XhrTransport aborts requests with a signal', t => {
+  let FakeXhr = fakeXhrClass()
+  let transport = new XhrTransport(FakeXhr)
+  let signal = fakeSignal()
+
+  transport.send({ method: 'GET', url: 'https://example.com/big.pdf', signal: signal })
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.ok(error instanceof AbortError)
+      t.equal(signal.listeners.length, 0, 'The abort listener is removed')
+      return transport.send({ method: 'GET', url: 'https://example.com/', signal: signal })
+    })
+    .then(() => t.fail('should have rejected'))
+    .catch((error) => {
+      t.ok(error instanceof AbortError, 'Already aborted signals reject at once')
+      t.equal(FakeXhr.instances.length, 1, 'No request is sent')
+      t.end()
+    })
+
+  signal.abort()
+})